@@ -0,0 +1,22 @@
+<?php
+/**
+ * Adminer plugin: log straight into the buwp-local database
+ * Mounted into the Adminer container by buwp-local when services.dbadmin is "adminer".
+ * Submitting the login form (even empty) connects as the WordPress database user.
+ */
+
+class BuwpLocalLogin {
+	public function credentials() {
+		return array( 'db', 'wordpress', getenv( 'BUWP_LOCAL_DB_PASSWORD' ) );
+	}
+
+	public function database() {
+		return 'wordpress';
+	}
+
+	public function login( $login, $password ) {
+		return true;
+	}
+}
+
+return new BuwpLocalLogin();
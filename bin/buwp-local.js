@@ -26,19 +26,28 @@ import stopCommand from '../lib/commands/stop.js';
 import destroyCommand from '../lib/commands/destroy.js';
 import updateCommand from '../lib/commands/update.js';
 import logsCommand from '../lib/commands/logs.js';
+import statusCommand from '../lib/commands/status.js';
+import listCommand from '../lib/commands/list.js';
 import wpCommand from '../lib/commands/wp.js';
 import watchJobsCommand from '../lib/commands/watch-jobs.js';
 import shellCommand from '../lib/commands/shell.js';
 import configCommand from '../lib/commands/config.js';
 import initCommand from '../lib/commands/init.js';
 import keychainCommand from '../lib/commands/keychain.js';
+import dbCommand from '../lib/commands/db.js';
+import certCommand from '../lib/commands/cert.js';
+import hostsCommand from '../lib/commands/hosts.js';
+import xdebugCommand from '../lib/commands/xdebug.js';
+import mappingsCommand from '../lib/commands/mappings.js';
+import workspaceCommand from '../lib/commands/workspace.js';
 
 const program = new Command();
 
 program
   .name('buwp-local')
   .description('Local WordPress development environment for Boston University projects')
-  .version(packageJson.version);
+  .version(packageJson.version)
+  .enablePositionalOptions();
 
 // Start command
 program
@@ -47,6 +56,8 @@ program
   .option('--xdebug', 'Enable Xdebug')
   .option('--no-s3', 'Disable S3 proxy service')
   .option('--no-redis', 'Disable Redis service')
+  .option('--timeout <seconds>', 'How long to wait for the environment to become ready (default: 180)')
+  .option('--no-wait', 'Return as soon as containers are created')
   .action(startCommand);
 
 // Stop command
@@ -78,6 +89,20 @@ program
   .option('-s, --service <service>', 'Show logs for specific service (wordpress, db, s3proxy, redis)')
   .action(logsCommand);
 
+// Status command
+program
+  .command('status')
+  .description('Show the live state of the local WordPress environment')
+  .option('--json', 'Output status as JSON')
+  .action(statusCommand);
+
+// List command
+program
+  .command('list')
+  .description('List all projects started on this machine')
+  .option('--json', 'Output project list as JSON')
+  .action(listCommand);
+
 // Config command
 program
   .command('config')
@@ -88,6 +113,8 @@ program
   .option('--theme', 'Initialize with theme mapping (use with --init)')
   .option('--validate', 'Validate configuration file')
   .option('--show', 'Show resolved configuration')
+  .option('--compose', 'Show the generated Docker Compose configuration (use with --show)')
+  .option('--json', 'Output validation results as JSON (use with --validate)')
   .action(configCommand);
 
 // Init command (interactive configuration)
@@ -106,7 +133,11 @@ program
 program
   .command('wp <args...>')
   .description('Run WP-CLI commands in the WordPress container')
+  .option('--each-site', 'Run the command once for every site of a multisite network')
+  .option('--filter <glob>', 'With --each-site: only sites whose path matches, e.g. "/news/*"')
+  .option('--parallel <n>', 'With --each-site: number of sites to run at once (default: 1)')
   .allowUnknownOption()
+  .passThroughOptions()
   .action(wpCommand);
 
 // Watch Jobs command
@@ -120,20 +151,96 @@ program
 // Shell command
 program
   .command('shell')
-  .description('Open an interactive bash shell in the WordPress container')
+  .description('Open a shell in the WordPress container, or another service')
+  .option('--service <name>', 'Service to open the shell in, e.g. db, redis, s3proxy (default: wordpress)')
+  .option('-u, --user <user>', 'User to run as, e.g. www-data')
+  .option('-w, --workdir <dir>', 'Working directory (default: where the current directory is mapped)')
+  .option('-c, --command <cmd>', 'Run a command instead of an interactive shell and exit with its code')
   .action(shellCommand);
 
 // Keychain command
 program
   .command('keychain <subcommand> [args...]')
-  .description('Manage credentials in macOS keychain')
+  .description('Manage credentials in the system keychain (macOS Keychain or Linux Secret Service)')
   .option('-f, --force', 'Skip confirmation prompts')
   .option('--file <path>', 'Read credential from file (for multiline content)')
   .option('--stdin', 'Read credential from stdin')
+  .option('--project [name]', 'Use project-scoped credentials (current project, or the named one)')
+  .option('--out <file>', 'Export: output file (default: buwp-local-credentials.json)')
+  .option('--group <groups>', 'Export: comma-separated credential groups (database, shibboleth, s3, olap)')
+  .option('--encrypt', 'Export: encrypt the file with a passphrase')
+  .option('--timeout <minutes>', 'How long "unlock" caches the passphrase (default: 480)')
   .action((subcommand, args, options) => {
     keychainCommand(subcommand, args, options);
   });
 
+// Database command
+program
+  .command('db <subcommand> [args...]')
+  .description('Export, import, snapshot and restore the WordPress database')
+  .option('-f, --force', 'Skip confirmation prompts')
+  .option('--map <from=to>', 'Domain to rewrite on import (repeatable)', (value, previous) => previous.concat([value]), [])
+  .option('--dry-run', 'Import into a scratch database and report search-replace changes')
+  .option('--no-search-replace', 'Import without rewriting domains')
+  .action((subcommand, args, options) => {
+    dbCommand(subcommand, args, options);
+  });
+
+// Cert command
+program
+  .command('cert <subcommand> [args...]')
+  .description('Manage the local HTTPS certificate authority and site certificates')
+  .option('-f, --force', 'Reissue a current certificate, or trust without prompting')
+  .option('--json', 'Output status as JSON')
+  .action((subcommand, args, options) => {
+    certCommand(subcommand, args, options);
+  });
+
+// Hosts command
+program
+  .command('hosts <subcommand> [hostnames...]')
+  .description('Manage buwp-local entries in /etc/hosts')
+  .option('--hosts-file <path>', 'Hosts file to manage (default: /etc/hosts)')
+  .option('--dry-run', 'Show the changes without writing them')
+  .action((subcommand, hostnames, options) => {
+    hostsCommand(subcommand, hostnames, options);
+  });
+
+// Xdebug command
+program
+  .command('xdebug <subcommand> [args...]')
+  .description('Toggle Xdebug in the running environment and configure your IDE')
+  .option('--mode <modes>', 'Xdebug modes for "on", comma-separated (e.g. debug,profile)')
+  .option('--ide <ide>', 'IDE to configure: vscode, phpstorm, zed', 'vscode')
+  .option('--json', 'Output status as JSON')
+  .action((subcommand, args, options) => {
+    xdebugCommand(subcommand, args, options);
+  });
+
+// Mappings command
+program
+  .command('mappings <subcommand> [args...]')
+  .description('Add, remove and list volume mappings')
+  .option('--comment <text>', 'Note stored with an added mapping')
+  .option('-f, --force', 'Allow targets that hide WordPress core or all plugins/themes')
+  .option('--apply', 'Apply to a running environment without asking')
+  .option('--no-apply', 'Don\'t offer to apply to a running environment')
+  .option('--json', 'Output list as JSON')
+  .action((subcommand, args, options) => {
+    mappingsCommand(subcommand, args, options);
+  });
+
+// Workspace command
+program
+  .command('workspace <subcommand> [names...]')
+  .description('Clone and map the repos listed in the workspace section')
+  .option('--apply', 'Apply changed mappings to a running environment without asking')
+  .option('--no-apply', 'Don\'t offer to apply to a running environment')
+  .option('--json', 'Output list as JSON')
+  .action((subcommand, names, options) => {
+    workspaceCommand(subcommand, names, options);
+  });
+
 // Error handling
 program.exitOverride();
 
@@ -0,0 +1,523 @@
+/**
+ * Local HTTPS certificates
+ * Creates a development root CA once per machine (~/.buwp-local/ca) and issues leaf
+ * certificates per hostname (~/.buwp-local/certs/<hostname>) that the compose generator
+ * mounts into the WordPress container. Certificates are built with Node's crypto and a
+ * minimal DER encoder, so no openssl or mkcert install is needed.
+ */
+
+import crypto from 'crypto';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const USER_DIR = path.join(os.homedir(), '.buwp-local');
+
+export const CA_DIR = path.join(USER_DIR, 'ca');
+export const CA_CERT_PATH = path.join(CA_DIR, 'ca.pem');
+export const CA_KEY_PATH = path.join(CA_DIR, 'ca-key.pem');
+export const CERTS_DIR = path.join(USER_DIR, 'certs');
+
+const CA_VALIDITY_DAYS = 3650;
+// Apple platforms reject server certificates valid for more than 825 days
+const LEAF_VALIDITY_DAYS = 825;
+// Reissue leaf certificates that expire within this many days
+const RENEW_BEFORE_DAYS = 30;
+
+const OID = {
+  commonName: '2.5.4.3',
+  organizationName: '2.5.4.10',
+  organizationalUnitName: '2.5.4.11',
+  sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+  basicConstraints: '2.5.29.19',
+  keyUsage: '2.5.29.15',
+  extKeyUsage: '2.5.29.37',
+  subjectAltName: '2.5.29.17',
+  subjectKeyIdentifier: '2.5.29.14',
+  authorityKeyIdentifier: '2.5.29.35',
+  serverAuth: '1.3.6.1.5.5.7.3.1'
+};
+
+/**
+ * System trust stores on Linux, checked in order
+ */
+const LINUX_TRUST_STORES = [
+  // Debian, Ubuntu
+  { dir: '/usr/local/share/ca-certificates', file: 'buwp-local-ca.crt', update: 'update-ca-certificates' },
+  // Fedora, RHEL
+  { dir: '/etc/pki/ca-trust/source/anchors', file: 'buwp-local-ca.pem', update: 'update-ca-trust' }
+];
+
+const MACOS_SYSTEM_KEYCHAIN = '/Library/Keychains/System.keychain';
+
+// keyUsage bits (first byte of the BIT STRING)
+const KEY_USAGE = {
+  digitalSignature: 0x80,
+  keyEncipherment: 0x20,
+  keyCertSign: 0x04,
+  cRLSign: 0x02
+};
+
+/**
+ * Encode a DER element
+ * @param {number} tag - Tag byte
+ * @param {Buffer} content - Element content
+ * @returns {Buffer}
+ */
+function der(tag, content) {
+  let length;
+  if (content.length < 0x80) {
+    length = Buffer.from([content.length]);
+  } else {
+    const bytes = [];
+    for (let n = content.length; n > 0; n >>= 8) {
+      bytes.unshift(n & 0xff);
+    }
+    length = Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([Buffer.from([tag]), length, content]);
+}
+
+const sequence = (...items) => der(0x30, Buffer.concat(items));
+const set = (...items) => der(0x31, Buffer.concat(items));
+const explicit = (tagNumber, content) => der(0xa0 + tagNumber, content);
+const octetString = content => der(0x04, content);
+const utf8String = value => der(0x0c, Buffer.from(value, 'utf8'));
+const boolean = value => der(0x01, Buffer.from([value ? 0xff : 0x00]));
+const nullValue = () => der(0x05, Buffer.alloc(0));
+
+/**
+ * Encode a positive INTEGER
+ * @param {Buffer|number} value - Big-endian bytes or a small number
+ * @returns {Buffer}
+ */
+function integer(value) {
+  let bytes = Buffer.isBuffer(value) ? value : Buffer.from([value]);
+  if (bytes[0] & 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+  return der(0x02, bytes);
+}
+
+/**
+ * Encode an OBJECT IDENTIFIER
+ * @param {string} oid - Dotted OID
+ * @returns {Buffer}
+ */
+function objectIdentifier(oid) {
+  const [first, second, ...rest] = oid.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const chunk = [arc & 0x7f];
+    for (let n = arc >> 7; n > 0; n >>= 7) {
+      chunk.unshift((n & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+/**
+ * Encode a BIT STRING with no unused bits beyond the trailing zeros of the last byte
+ * @param {Buffer} bytes - Bits
+ * @param {boolean} trimUnused - Count trailing zero bits as unused (named bit lists)
+ * @returns {Buffer}
+ */
+function bitString(bytes, trimUnused = false) {
+  let unused = 0;
+  if (trimUnused && bytes.length > 0) {
+    const last = bytes[bytes.length - 1];
+    while (unused < 8 && !(last & (1 << unused))) {
+      unused++;
+    }
+  }
+  return der(0x03, Buffer.concat([Buffer.from([unused]), bytes]));
+}
+
+/**
+ * Encode a validity time (UTCTime until 2049, GeneralizedTime after)
+ * @param {Date} date - Time
+ * @returns {Buffer}
+ */
+function time(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+  if (date.getUTCFullYear() < 2050) {
+    return der(0x17, Buffer.from(iso.slice(2), 'ascii'));
+  }
+  return der(0x18, Buffer.from(iso, 'ascii'));
+}
+
+/**
+ * Encode a distinguished name
+ * @param {Array} attributes - [[oid, value], ...]
+ * @returns {Buffer}
+ */
+function name(attributes) {
+  return sequence(...attributes.map(([oid, value]) => set(sequence(objectIdentifier(oid), utf8String(value)))));
+}
+
+/**
+ * Encode an extension
+ * @param {string} oid - Extension OID
+ * @param {boolean} critical - Critical flag
+ * @param {Buffer} value - DER-encoded extension value
+ * @returns {Buffer}
+ */
+function extension(oid, critical, value) {
+  const parts = [objectIdentifier(oid)];
+  if (critical) {
+    parts.push(boolean(true));
+  }
+  parts.push(octetString(value));
+  return sequence(...parts);
+}
+
+/**
+ * Encode subjectAltName entries (DNS names and IPv4 addresses)
+ * @param {string[]} names - Host names or IP addresses
+ * @returns {Buffer}
+ */
+function subjectAltNames(names) {
+  return sequence(...names.map(entry => {
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(entry)) {
+      return der(0x87, Buffer.from(entry.split('.').map(Number)));
+    }
+    return der(0x82, Buffer.from(entry, 'ascii'));
+  }));
+}
+
+/**
+ * Key identifier: SHA-1 of the encoded public key
+ * Any stable value works as long as the CA's subjectKeyIdentifier and the leaf's
+ * authorityKeyIdentifier are computed the same way.
+ * @param {crypto.KeyObject} publicKey - Public key
+ * @returns {Buffer}
+ */
+function keyIdentifier(publicKey) {
+  const spki = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha1').update(spki).digest();
+}
+
+/**
+ * Read one DER element
+ * @param {Buffer} buffer - DER bytes
+ * @param {number} offset - Element start
+ * @returns {object} { start, contentStart, end } byte offsets
+ */
+function readElement(buffer, offset) {
+  let length = buffer[offset + 1];
+  let contentStart = offset + 2;
+  if (length & 0x80) {
+    const byteCount = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < byteCount; i++) {
+      length = (length << 8) | buffer[contentStart + i];
+    }
+    contentStart += byteCount;
+  }
+  return { start: offset, contentStart, end: contentStart + length };
+}
+
+/**
+ * Get the encoded subject of a certificate, so a leaf's issuer matches its CA byte for byte
+ * @param {crypto.X509Certificate} certificate - Certificate
+ * @returns {Buffer} DER-encoded Name
+ */
+function getSubjectDer(certificate) {
+  const raw = certificate.raw;
+  const tbs = readElement(raw, readElement(raw, 0).contentStart);
+
+  // version [0], serialNumber, signature, issuer, validity, subject
+  let element = readElement(raw, tbs.contentStart);
+  for (let i = 0; i < 5; i++) {
+    element = readElement(raw, element.end);
+  }
+  return raw.subarray(element.start, element.end);
+}
+
+/**
+ * Build and sign an X.509 v3 certificate
+ * @param {object} options - { subject, issuer, publicKey, signingKey, days, extensions }; issuer may be encoded already
+ * @returns {string} PEM certificate
+ */
+function createCertificate({ subject, issuer, publicKey, signingKey, days, extensions }) {
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+
+  // Backdate a little so clocks that are slightly behind still accept the certificate
+  const notBefore = new Date(Date.now() - 60 * 60 * 1000);
+  const notAfter = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  const signatureAlgorithm = sequence(objectIdentifier(OID.sha256WithRSAEncryption), nullValue());
+
+  const tbsCertificate = sequence(
+    explicit(0, integer(2)),
+    integer(serial),
+    signatureAlgorithm,
+    Buffer.isBuffer(issuer) ? issuer : name(issuer),
+    sequence(time(notBefore), time(notAfter)),
+    name(subject),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(...extensions))
+  );
+
+  const signature = crypto.sign('sha256', tbsCertificate, signingKey);
+  const certificate = sequence(tbsCertificate, signatureAlgorithm, bitString(signature));
+
+  return toPem(certificate, 'CERTIFICATE');
+}
+
+/**
+ * Wrap DER bytes in PEM armor
+ * @param {Buffer} bytes - DER bytes
+ * @param {string} label - PEM label
+ * @returns {string}
+ */
+function toPem(bytes, label) {
+  const lines = bytes.toString('base64').match(/.{1,64}/g);
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+/**
+ * Write a file readable only by the current user
+ * @param {string} filePath - Destination
+ * @param {string} content - File content
+ */
+function writePrivateFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(filePath, content, { mode: 0o600 });
+}
+
+/**
+ * Check if the local root CA exists
+ * @returns {boolean}
+ */
+export function caExists() {
+  return fs.existsSync(CA_CERT_PATH) && fs.existsSync(CA_KEY_PATH);
+}
+
+/**
+ * Read the local root CA certificate
+ * @returns {crypto.X509Certificate|null}
+ */
+export function readCaCertificate() {
+  if (!fs.existsSync(CA_CERT_PATH)) {
+    return null;
+  }
+  return new crypto.X509Certificate(fs.readFileSync(CA_CERT_PATH));
+}
+
+/**
+ * Create the local root CA, unless one already exists
+ * @returns {boolean} True if a new CA was created
+ */
+export function ensureCa() {
+  if (caExists()) {
+    return false;
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 3072 });
+  const subject = [
+    [OID.organizationName, 'buwp-local development CA'],
+    [OID.organizationalUnitName, `${os.userInfo().username}@${os.hostname()}`],
+    [OID.commonName, `buwp-local ${os.userInfo().username}@${os.hostname()}`]
+  ];
+  const keyId = keyIdentifier(publicKey);
+
+  const pem = createCertificate({
+    subject,
+    issuer: subject,
+    publicKey,
+    signingKey: privateKey,
+    days: CA_VALIDITY_DAYS,
+    extensions: [
+      extension(OID.basicConstraints, true, sequence(boolean(true), integer(0))),
+      extension(OID.keyUsage, true, bitString(Buffer.from([KEY_USAGE.keyCertSign | KEY_USAGE.cRLSign]), true)),
+      extension(OID.subjectKeyIdentifier, false, octetString(keyId))
+    ]
+  });
+
+  writePrivateFile(CA_KEY_PATH, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  fs.writeFileSync(CA_CERT_PATH, pem, { mode: 0o644 });
+  return true;
+}
+
+/**
+ * Get the leaf certificate paths for a hostname
+ * @param {string} hostname - Site hostname
+ * @returns {object} { dir, certPath, keyPath }
+ */
+export function getCertificatePaths(hostname) {
+  const dir = path.join(CERTS_DIR, hostname);
+  return {
+    dir,
+    certPath: path.join(dir, 'cert.pem'),
+    keyPath: path.join(dir, 'key.pem')
+  };
+}
+
+/**
+ * Check if a leaf certificate has been issued for a hostname
+ * @param {string} hostname - Site hostname
+ * @returns {boolean}
+ */
+export function certificateExists(hostname) {
+  const { certPath, keyPath } = getCertificatePaths(hostname);
+  return fs.existsSync(certPath) && fs.existsSync(keyPath);
+}
+
+/**
+ * Names a certificate for a site should cover
+ * The wildcard covers subdomain multisite subsites; mapped subsite domains are passed in.
+ * @param {string} hostname - Site hostname
+ * @param {string[]} extraDomains - Additional domains, e.g. subsite domains
+ * @returns {string[]} Unique subjectAltName entries
+ */
+export function getCertificateNames(hostname, extraDomains = []) {
+  const names = [hostname];
+  if (hostname.includes('.')) {
+    names.push(`*.${hostname}`);
+  }
+  names.push(...extraDomains, 'localhost', '127.0.0.1');
+  return [...new Set(names.map(entry => entry.toLowerCase()))];
+}
+
+/**
+ * Issue a leaf certificate for a hostname, signed by the local root CA
+ * @param {string} hostname - Site hostname
+ * @param {string[]} extraDomains - Additional domains to include as SANs
+ * @returns {object} { certPath, keyPath, names }
+ */
+export function issueCertificate(hostname, extraDomains = []) {
+  if (!caExists()) {
+    throw new Error('Local certificate authority not found. Run "buwp-local cert create" first');
+  }
+
+  const caKey = crypto.createPrivateKey(fs.readFileSync(CA_KEY_PATH));
+  const caCert = readCaCertificate();
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const names = getCertificateNames(hostname, extraDomains);
+
+  const pem = createCertificate({
+    subject: [
+      [OID.organizationName, 'buwp-local development certificate'],
+      [OID.commonName, hostname]
+    ],
+    issuer: getSubjectDer(caCert),
+    publicKey,
+    signingKey: caKey,
+    days: LEAF_VALIDITY_DAYS,
+    extensions: [
+      extension(OID.basicConstraints, true, sequence()),
+      extension(OID.keyUsage, true, bitString(Buffer.from([KEY_USAGE.digitalSignature | KEY_USAGE.keyEncipherment]), true)),
+      extension(OID.extKeyUsage, false, sequence(objectIdentifier(OID.serverAuth))),
+      extension(OID.subjectAltName, false, subjectAltNames(names)),
+      extension(OID.subjectKeyIdentifier, false, octetString(keyIdentifier(publicKey))),
+      extension(OID.authorityKeyIdentifier, false, sequence(der(0x80, keyIdentifier(caCert.publicKey))))
+    ]
+  });
+
+  const { certPath, keyPath } = getCertificatePaths(hostname);
+  writePrivateFile(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  fs.writeFileSync(certPath, pem, { mode: 0o644 });
+
+  return { certPath, keyPath, names };
+}
+
+/**
+ * Describe the certificate issued for a hostname
+ * @param {string} hostname - Site hostname
+ * @returns {object|null} { certPath, keyPath, names, validTo, daysLeft, coversHostname, signedByCa } or null if none
+ */
+export function getCertificateInfo(hostname) {
+  if (!certificateExists(hostname)) {
+    return null;
+  }
+
+  const { certPath, keyPath } = getCertificatePaths(hostname);
+  const certificate = new crypto.X509Certificate(fs.readFileSync(certPath));
+  const caCert = readCaCertificate();
+  const validTo = new Date(certificate.validTo);
+
+  return {
+    certPath,
+    keyPath,
+    names: (certificate.subjectAltName || '').split(', ').map(entry => entry.replace(/^(DNS|IP Address):/, '')).filter(Boolean),
+    validTo: validTo.toISOString(),
+    daysLeft: Math.floor((validTo - Date.now()) / (24 * 60 * 60 * 1000)),
+    coversHostname: Boolean(certificate.checkHost(hostname)),
+    signedByCa: Boolean(caCert) && certificate.checkIssued(caCert) && certificate.verify(caCert.publicKey)
+  };
+}
+
+/**
+ * Check if the certificate for a hostname can be used as is
+ * @param {string} hostname - Site hostname
+ * @returns {boolean} False if missing, expiring, for another name or signed by an old CA
+ */
+export function isCertificateCurrent(hostname) {
+  const info = getCertificateInfo(hostname);
+  return Boolean(info) && info.coversHostname && info.signedByCa && info.daysLeft > RENEW_BEFORE_DAYS;
+}
+
+/**
+ * Check if the local root CA is in the system trust store
+ * @returns {boolean|null} null if the platform's store cannot be checked
+ */
+export function isCaTrusted() {
+  if (!caExists()) {
+    return false;
+  }
+
+  if (process.platform === 'darwin') {
+    const result = spawnSync('security', ['verify-cert', '-c', CA_CERT_PATH], { stdio: 'ignore', timeout: 10000 });
+    return result.status === 0;
+  }
+
+  if (process.platform === 'linux') {
+    const ca = fs.readFileSync(CA_CERT_PATH, 'utf8');
+    return LINUX_TRUST_STORES.some(store => {
+      const target = path.join(store.dir, store.file);
+      return fs.existsSync(target) && fs.readFileSync(target, 'utf8') === ca;
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Add the local root CA to the system trust store
+ * Runs the platform tools through sudo, which prompts for a password in the terminal
+ * @throws {Error} If the platform is unsupported or a command fails
+ */
+export function trustCa() {
+  if (!caExists()) {
+    throw new Error('Local certificate authority not found. Run "buwp-local cert create" first');
+  }
+
+  if (process.platform === 'darwin') {
+    runAsRoot(['security', 'add-trusted-cert', '-d', '-r', 'trustRoot', '-k', MACOS_SYSTEM_KEYCHAIN, CA_CERT_PATH]);
+    return;
+  }
+
+  const store = process.platform === 'linux' && LINUX_TRUST_STORES.find(candidate => fs.existsSync(candidate.dir));
+  if (!store) {
+    throw new Error(`Don't know how to trust certificates on this system. Add ${CA_CERT_PATH} to your trust store manually`);
+  }
+
+  runAsRoot(['cp', CA_CERT_PATH, path.join(store.dir, store.file)]);
+  runAsRoot([store.update]);
+}
+
+/**
+ * Run a command as root, through sudo unless already root
+ * @param {string[]} command - Command and arguments
+ * @throws {Error} If the command fails
+ */
+function runAsRoot(command) {
+  const [file, ...args] = process.getuid?.() === 0 ? command : ['sudo', ...command];
+  const result = spawnSync(file, args, { stdio: 'inherit' });
+  if (result.error || result.status !== 0) {
+    throw new Error(`${command.join(' ')} failed${result.error ? `: ${result.error.message}` : ` (exit code ${result.status})`}`);
+  }
+}
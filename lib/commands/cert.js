@@ -0,0 +1,264 @@
+/**
+ * Cert command - Local HTTPS certificate authority and per-hostname certificates
+ */
+
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import prompts from 'prompts';
+import { loadConfig } from '../config.js';
+import { getSiteDomains } from '../docker.js';
+import {
+  CA_CERT_PATH,
+  ensureCa,
+  caExists,
+  readCaCertificate,
+  issueCertificate,
+  getCertificateInfo,
+  isCertificateCurrent,
+  isCaTrusted,
+  trustCa
+} from '../certs.js';
+
+async function certCommand(subcommand, args, options) {
+  try {
+    switch (subcommand) {
+      case 'create':
+        await createCommand(args, options);
+        break;
+      case 'trust':
+        await trustCommand(options);
+        break;
+      case 'status':
+        statusCommand(options);
+        break;
+      default:
+        showHelp();
+    }
+  } catch (err) {
+    console.error(chalk.red('\n❌ Error:'), err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolve the current project
+ * @returns {object} { config, projectPath, composePath, projectName }
+ */
+function getProject() {
+  const projectPath = process.cwd();
+  const config = loadConfig(projectPath);
+  return {
+    config,
+    projectPath,
+    composePath: path.join(projectPath, '.buwp-local', 'docker-compose.yml'),
+    projectName: config.projectName || 'buwp-local'
+  };
+}
+
+/**
+ * Create the local CA if needed and issue a certificate for the project hostname
+ * @param {string[]} args - Extra domains to include
+ * @param {object} options - Command options
+ */
+async function createCommand(args, options) {
+  const project = getProject();
+  const { hostname } = project.config;
+
+  if (ensureCa()) {
+    console.log(chalk.green('✓ Created local certificate authority'));
+    console.log(chalk.gray(`  ${CA_CERT_PATH}\n`));
+  }
+
+  if (args.length === 0 && !options.force && isCertificateCurrent(hostname)) {
+    const info = getCertificateInfo(hostname);
+    console.log(chalk.green(`✓ Certificate for ${hostname} is current (expires in ${info.daysLeft} days)`));
+    console.log(chalk.gray('Use --force to reissue it, or pass extra domains: buwp-local cert create <domain...>\n'));
+    printTrustHint();
+    return;
+  }
+
+  // Keep names from an earlier certificate so reissuing doesn't drop them
+  const previous = getCertificateInfo(hostname);
+  // On a running multisite, subdomain and mapped subsites need names of their own
+  const subsites = project.config.multisite && fs.existsSync(project.composePath)
+    ? getSiteDomains(project.projectName, project.composePath)
+    : [];
+  const domains = [...(previous ? previous.names : []), ...subsites, ...args];
+
+  console.log(chalk.blue(`🔐 Issuing certificate for ${hostname}...\n`));
+  const { certPath, keyPath, names } = issueCertificate(hostname, domains);
+
+  console.log(chalk.green('✅ Certificate issued\n'));
+  console.log(chalk.cyan('Names:'));
+  names.forEach(entry => console.log(chalk.white(`  ${entry}`)));
+  console.log(chalk.cyan('\nFiles:'));
+  console.log(chalk.gray(`  ${certPath}`));
+  console.log(chalk.gray(`  ${keyPath}\n`));
+  console.log(chalk.gray('Run "buwp-local start" to use it (running environments are recreated with the new certificate).\n'));
+
+  printTrustHint();
+}
+
+/**
+ * Add the local CA to the system trust store
+ * @param {object} options - Command options
+ */
+async function trustCommand(options) {
+  if (!caExists()) {
+    console.log(chalk.yellow('⚠️  No local certificate authority yet.'));
+    console.log(chalk.gray('Run "buwp-local cert create" first.\n'));
+    process.exit(1);
+  }
+
+  if (isCaTrusted() === true && !options.force) {
+    console.log(chalk.green('✓ Local certificate authority is already trusted by the system\n'));
+    printClientTips();
+    return;
+  }
+
+  if (!options.force) {
+    console.log(chalk.yellow('This adds the buwp-local certificate authority to the system trust store.'));
+    console.log(chalk.yellow('Every certificate it signs will be trusted on this machine. Its key never leaves ~/.buwp-local/ca.\n'));
+
+    const { confirmed } = await prompts({
+      type: 'confirm',
+      name: 'confirmed',
+      message: 'Trust the local certificate authority? (requires your password)',
+      initial: true
+    });
+
+    if (!confirmed) {
+      console.log(chalk.gray('\nCancelled.\n'));
+      return;
+    }
+  }
+
+  trustCa();
+  console.log(chalk.green('\n✅ Local certificate authority trusted\n'));
+  console.log(chalk.gray('Restart your browser to pick up the change.\n'));
+  printClientTips();
+}
+
+/**
+ * Show the CA and the project certificate
+ * @param {object} options - Command options
+ */
+function statusCommand(options) {
+  const project = getProject();
+  const { hostname } = project.config;
+  const caCert = readCaCertificate();
+  const certificate = getCertificateInfo(hostname);
+  const composeContent = fs.existsSync(project.composePath) ? fs.readFileSync(project.composePath, 'utf8') : '';
+
+  const status = {
+    ca: caCert ? {
+      path: CA_CERT_PATH,
+      subject: caCert.subject.split('\n').find(line => line.startsWith('CN='))?.slice(3) || caCert.subject,
+      validTo: new Date(caCert.validTo).toISOString(),
+      fingerprint: caCert.fingerprint256,
+      trusted: isCaTrusted()
+    } : null,
+    hostname,
+    certificate: certificate ? {
+      ...certificate,
+      mounted: composeContent.includes(certificate.certPath)
+    } : null
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(status, null, 2));
+    return;
+  }
+
+  console.log(chalk.blue('🔐 HTTPS Certificates\n'));
+
+  if (!status.ca) {
+    console.log(`${chalk.cyan('CA:'.padEnd(13))}${chalk.yellow('not created')}`);
+    console.log(chalk.gray('\nRun "buwp-local cert create" to create a local CA and a certificate for this site.\n'));
+    return;
+  }
+
+  const trusted = status.ca.trusted === true
+    ? chalk.green('✓ trusted by the system')
+    : status.ca.trusted === false
+      ? chalk.yellow('⚠️  not trusted (run "buwp-local cert trust")')
+      : chalk.gray('trust unknown on this platform');
+
+  console.log(`${chalk.cyan('CA:'.padEnd(13))}${status.ca.subject}`);
+  console.log(`${''.padEnd(13)}${trusted}`);
+  console.log(`${''.padEnd(13)}${chalk.gray(`expires ${status.ca.validTo.slice(0, 10)}, SHA-256 ${status.ca.fingerprint.slice(0, 23)}…`)}`);
+
+  if (!status.certificate) {
+    console.log(`${chalk.cyan('Certificate:'.padEnd(13))}${chalk.yellow(`none for ${hostname}`)}`);
+    console.log(chalk.gray('\nRun "buwp-local cert create" to issue one.\n'));
+    return;
+  }
+
+  const cert = status.certificate;
+  const problems = [
+    !cert.coversHostname && `does not cover ${hostname}`,
+    !cert.signedByCa && 'not signed by the current CA',
+    cert.daysLeft < 0 && 'expired'
+  ].filter(Boolean);
+
+  console.log(`${chalk.cyan('Certificate:'.padEnd(13))}${hostname}`);
+  console.log(`${''.padEnd(13)}${problems.length > 0 ? chalk.red(`❌ ${problems.join(', ')}`) : chalk.green('✓ valid')}`);
+  console.log(`${''.padEnd(13)}${chalk.gray(`expires ${cert.validTo.slice(0, 10)} (${cert.daysLeft} days)`)}`);
+  console.log(`${''.padEnd(13)}${chalk.gray(cert.names.join(', '))}`);
+  console.log(`${chalk.cyan('Mounted:'.padEnd(13))}${cert.mounted
+    ? chalk.green('✓ in docker-compose.yml')
+    : chalk.yellow('⚠️  not yet (run "buwp-local start")')}`);
+  console.log('');
+
+  if (problems.length > 0) {
+    console.log(chalk.gray('Run "buwp-local cert create --force" to reissue it.\n'));
+  }
+}
+
+/**
+ * Suggest trusting the CA if it isn't yet
+ */
+function printTrustHint() {
+  if (isCaTrusted() === false) {
+    console.log(chalk.yellow('⚠️  Browsers won\'t trust the certificate until you run: buwp-local cert trust\n'));
+  }
+}
+
+/**
+ * Explain how to trust the CA in clients that ignore the system store
+ */
+function printClientTips() {
+  console.log(chalk.cyan('Clients with their own trust store:'));
+  console.log(chalk.gray('  Node.js (fetch, REST clients):'));
+  console.log(chalk.white(`    export NODE_EXTRA_CA_CERTS="${CA_CERT_PATH}"`));
+  console.log(chalk.gray('  Firefox: set security.enterprise_roots.enabled to true in about:config,'));
+  console.log(chalk.gray(`    or import ${CA_CERT_PATH} under Settings → Certificates`));
+  console.log(chalk.gray('  curl on macOS uses the system keychain; elsewhere pass:'));
+  console.log(chalk.white(`    --cacert "${CA_CERT_PATH}"\n`));
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  console.log(chalk.blue('🔐 Cert Command\n'));
+  console.log('Serve the site over HTTPS with a certificate your machine trusts.\n');
+  console.log(chalk.cyan('Usage:'));
+  console.log('  buwp-local cert <subcommand> [options]\n');
+  console.log(chalk.cyan('Subcommands:'));
+  console.log('  create [domains...]   Create the local CA (once per machine) and a certificate for this hostname');
+  console.log('  trust                 Add the local CA to the system trust store (uses sudo)');
+  console.log('  status                Show the CA, its trust state and this project\'s certificate\n');
+  console.log(chalk.cyan('Options:'));
+  console.log('  -f, --force   Create: reissue a current certificate. Trust: skip the prompt');
+  console.log('  --json        Status: output as JSON\n');
+  console.log(chalk.cyan('Examples:'));
+  console.log('  # One-time setup');
+  console.log('  buwp-local cert create');
+  console.log('  buwp-local cert trust\n');
+  console.log('  # Add a mapped subsite domain');
+  console.log('  buwp-local cert create news.mysite.local\n');
+}
+
+export default certCommand;
@@ -4,7 +4,10 @@
 
 import chalk from 'chalk';
 import path from 'path';
-import { loadConfig, validateConfig, initConfig, CONFIG_FILE_NAME } from '../config.js';
+import fs from 'fs';
+import yaml from 'js-yaml';
+import { loadConfig, loadConfigLayers, getConfigSources, validateConfig, initConfig, CONFIG_FILE_NAME } from '../config.js';
+import { buildComposeConfig, loadComposeOverrides } from '../compose-generator.js';
 
 async function configCommand(options) {
   try {
@@ -51,10 +54,21 @@ async function configCommand(options) {
 
     // Validate configuration
     if (options.validate) {
+      if (options.json) {
+        const layers = loadConfigLayers(projectPath);
+        const validation = validateConfig(loadConfig(projectPath), layers);
+        console.log(JSON.stringify({
+          valid: validation.valid,
+          files: layers.filter(layer => layer.path && fs.existsSync(layer.path)).map(layer => layer.path),
+          errors: validation.issues
+        }, null, 2));
+        process.exit(validation.valid ? 0 : 1);
+      }
+
       console.log(chalk.blue('🔍 Validating configuration...\n'));
       
       const config = loadConfig(projectPath);
-      const validation = validateConfig(config);
+      const validation = validateConfig(config, loadConfigLayers(projectPath));
 
       if (validation.valid) {
         console.log(chalk.green('✅ Configuration is valid!\n'));
@@ -69,16 +83,43 @@ async function configCommand(options) {
       return;
     }
 
+    // Show the compose file start would generate, with overrides merged in
+    if (options.show && options.compose) {
+      const config = loadConfig(projectPath);
+      const composeConfig = buildComposeConfig(config, projectPath);
+
+      if (options.json) {
+        console.log(JSON.stringify(composeConfig, null, 2));
+        return;
+      }
+
+      const overrides = loadComposeOverrides(config, projectPath);
+      console.log(chalk.blue('🐳 Resolved Docker Compose configuration:\n'));
+      if (overrides.length > 0) {
+        console.log(chalk.gray(`Overrides merged: ${overrides.map(override => override.source).join(', ')}\n`));
+      } else {
+        console.log(chalk.gray('No compose overrides.\n'));
+      }
+      console.log(yaml.dump(composeConfig, { indent: 2, lineWidth: -1, noRefs: true }));
+      return;
+    }
+
     // Show resolved configuration
     if (options.show) {
-      console.log(chalk.blue('📄 Resolved configuration:\n'));
-      
       const config = loadConfig(projectPath);
+      const sources = getConfigSources(loadConfigLayers(projectPath));
       
       // Mask sensitive values
       const maskedConfig = maskSensitiveData(config);
-      
-      console.log(JSON.stringify(maskedConfig, null, 2));
+
+      if (options.json) {
+        console.log(JSON.stringify({ config: maskedConfig, sources }, null, 2));
+        return;
+      }
+
+      console.log(chalk.blue('📄 Resolved configuration:\n'));
+      console.log(chalk.gray('Each value is annotated with the layer it comes from.\n'));
+      console.log(formatAnnotated(maskedConfig, sources).join('\n'));
       console.log('');
       return;
     }
@@ -90,8 +131,10 @@ async function configCommand(options) {
     console.log('  --init --plugin      Initialize with plugin mapping');
     console.log('  --init --mu-plugin   Initialize with mu-plugin mapping');
     console.log('  --init --theme       Initialize with theme mapping');
-    console.log('  --validate           Validate configuration file');
-    console.log('  --show               Show resolved configuration\n');
+    console.log('  --validate           Validate configuration files');
+    console.log('  --show               Show resolved configuration and where each value comes from');
+    console.log('  --show --compose     Show the generated docker-compose.yml with overrides merged');
+    console.log('  --json               JSON output (with --validate or --show)\n');
 
   } catch (err) {
     console.error(chalk.red('\n❌ Error:'), err.message);
@@ -99,6 +142,55 @@ async function configCommand(options) {
   }
 }
 
+/**
+ * Format a configuration as JSON with a comment naming each value's source layer
+ * @param {object} config - Configuration to format
+ * @param {object} sources - Map of JSON pointer to layer label (see getConfigSources)
+ * @returns {string[]} Lines
+ */
+function formatAnnotated(config, sources) {
+  return annotateLines(config, sources, '', '')
+    .map(line => (line.comment ? `${line.text}${chalk.gray(`  // ${line.comment}`)}` : line.text));
+}
+
+/**
+ * Build annotated JSON lines for a value
+ * @param {*} value - Value to format
+ * @param {object} sources - Map of JSON pointer to layer label
+ * @param {string} pointer - JSON pointer of value
+ * @param {string} indent - Current indentation
+ * @returns {object[]} Lines [{ text, comment }]
+ */
+function annotateLines(value, sources, pointer, indent) {
+  const isPlainObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isPlainObject) {
+    const lines = JSON.stringify(value, null, 2)
+      .split('\n')
+      .map((text, i) => ({ text: i === 0 ? text : indent + text, comment: null }));
+    lines[0].comment = sources[pointer] || null;
+    return lines;
+  }
+
+  const entries = Object.entries(value).filter(([, child]) => child !== undefined);
+  if (entries.length === 0) {
+    return [{ text: '{}', comment: null }];
+  }
+
+  const childIndent = `${indent}  `;
+  const lines = [{ text: '{', comment: null }];
+  entries.forEach(([key, child], index) => {
+    const childLines = annotateLines(child, sources, `${pointer}/${key}`, childIndent);
+    childLines[0].text = `${childIndent}${JSON.stringify(key)}: ${childLines[0].text}`;
+    if (index < entries.length - 1) {
+      childLines[childLines.length - 1].text += ',';
+    }
+    lines.push(...childLines);
+  });
+  lines.push({ text: `${indent}}`, comment: null });
+  return lines;
+}
+
 /**
  * Mask sensitive data in configuration
  * @param {object} config - Configuration object
@@ -0,0 +1,806 @@
+/**
+ * Database command - Export, import, snapshot and restore the WordPress database
+ * Runs mariadb-dump and the mariadb client inside the db service
+ */
+
+import chalk from 'chalk';
+import prompts from 'prompts';
+import { execSync, spawn, spawnSync } from 'child_process';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+import path from 'path';
+import fs from 'fs';
+import { loadConfig } from '../config.js';
+
+const DATABASE_NAME = 'wordpress';
+
+/**
+ * Scratch database a dry-run import is loaded into, so the site's database is never touched
+ */
+const DRY_RUN_DATABASE_NAME = `${DATABASE_NAME}_dryrun`;
+
+/**
+ * Shell scripts run inside the db container
+ * Root password comes from the container's own environment, so credentials never pass through the CLI
+ */
+const DUMP_SCRIPT = `MYSQL_PWD="$MYSQL_ROOT_PASSWORD" exec mariadb-dump -uroot --single-transaction --routines --triggers ${DATABASE_NAME}`;
+const importScript = database => `MYSQL_PWD="$MYSQL_ROOT_PASSWORD" exec mariadb -uroot ${database}`;
+// The WordPress user only has privileges on its own database, so grant it the scratch database too
+const resetScript = database => `MYSQL_PWD="$MYSQL_ROOT_PASSWORD" exec mariadb -uroot -e "DROP DATABASE IF EXISTS ${database}; CREATE DATABASE ${database};${database === DATABASE_NAME ? '' : ` GRANT ALL PRIVILEGES ON ${database}.* TO '$MYSQL_USER'@'%';`}"`;
+const dropScript = database => `MYSQL_PWD="$MYSQL_ROOT_PASSWORD" exec mariadb -uroot -e "DROP DATABASE IF EXISTS ${database};"`;
+
+/**
+ * Snapshot names are used as file names, so keep them simple
+ */
+const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Main db command handler
+ * @param {string} subcommand - Subcommand to execute
+ * @param {string[]} args - Additional arguments
+ * @param {object} options - Command options
+ */
+async function dbCommand(subcommand, args, options) {
+  try {
+    switch (subcommand) {
+      case 'export':
+        await exportCommand(args);
+        break;
+      case 'import':
+        await importCommand(args, options);
+        break;
+      case 'snapshot':
+        await snapshotCommand(args, options);
+        break;
+      case 'restore':
+        await restoreCommand(args, options);
+        break;
+      case 'snapshots':
+        await snapshotsCommand();
+        break;
+      default:
+        showHelp();
+    }
+  } catch (err) {
+    console.error(chalk.red('\n❌ Error:'), err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolve the running environment for the current project
+ * Exits if there is no environment or the db container is not running
+ * @returns {object} { config, projectPath, composePath, composeDir, projectName }
+ */
+function getEnvironment() {
+  const projectPath = process.cwd();
+  const composePath = path.join(projectPath, '.buwp-local', 'docker-compose.yml');
+
+  // Check if docker-compose.yml exists
+  if (!fs.existsSync(composePath)) {
+    console.log(chalk.yellow('⚠️  No running environment found.'));
+    console.log(chalk.gray('Run "buwp-local start" to create an environment.\n'));
+    process.exit(1);
+  }
+
+  // Load config to get project name
+  const config = loadConfig(projectPath);
+  const projectName = config.projectName || 'buwp-local';
+  const composeDir = path.dirname(composePath);
+
+  // Check if Docker is running
+  try {
+    execSync('docker info', { stdio: 'ignore' });
+  } catch (err) {
+    console.error(chalk.red('❌ Docker is not running.'));
+    process.exit(1);
+  }
+
+  // Check if the db container is running
+  if (!isServiceRunning(projectName, composePath, 'db')) {
+    console.log(chalk.yellow('⚠️  Database container is not running.'));
+    console.log(chalk.gray('Run "buwp-local start" first, then try again.\n'));
+    process.exit(1);
+  }
+
+  return { config, projectPath, composePath, composeDir, projectName };
+}
+
+/**
+ * Check if a compose service container is running
+ * @param {string} projectName - Docker Compose project name
+ * @param {string} composePath - Path to docker-compose.yml
+ * @param {string} service - Compose service name
+ * @returns {boolean}
+ */
+function isServiceRunning(projectName, composePath, service) {
+  try {
+    const result = execSync(
+      `docker compose -p ${projectName} -f "${composePath}" ps --status running --services`,
+      { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }
+    );
+    return result.split('\n').map(s => s.trim()).includes(service);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Spawn a shell script inside the db container
+ * @param {object} env - Environment from getEnvironment()
+ * @param {string} script - Shell script to run
+ * @param {Array} stdio - stdio configuration for spawn
+ * @returns {ChildProcess}
+ */
+function spawnInDb(env, script, stdio) {
+  return spawn(
+    'docker',
+    [
+      'compose',
+      '-p', env.projectName,
+      '-f', env.composePath,
+      'exec', '-T',
+      'db',
+      'sh', '-c', script
+    ],
+    {
+      cwd: env.composeDir,
+      stdio,
+      shell: false
+    }
+  );
+}
+
+/**
+ * Wait for a child process to exit
+ * @param {ChildProcess} child - Child process
+ * @returns {Promise<number>} Exit code
+ */
+function waitForExit(child) {
+  return new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', code => resolve(code));
+  });
+}
+
+/**
+ * Dump the database to a file (gzipped if the path ends in .gz)
+ * @param {object} env - Environment from getEnvironment()
+ * @param {string} outputPath - Destination file path
+ */
+async function dumpDatabase(env, outputPath) {
+  const child = spawnInDb(env, DUMP_SCRIPT, ['ignore', 'pipe', 'inherit']);
+  const streams = [child.stdout];
+
+  if (outputPath.endsWith('.gz')) {
+    streams.push(zlib.createGzip());
+  }
+
+  // Dumps contain user data and hashed passwords, keep them private
+  streams.push(fs.createWriteStream(outputPath, { mode: 0o600 }));
+
+  try {
+    const [, code] = await Promise.all([pipeline(streams), waitForExit(child)]);
+    if (code !== 0) {
+      throw new Error(`mariadb-dump exited with code ${code}`);
+    }
+  } catch (err) {
+    // Don't leave a truncated dump behind
+    fs.rmSync(outputPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Replace the database contents with a SQL file (gunzipped if the path ends in .gz)
+ * @param {object} env - Environment from getEnvironment(); env.database selects another database
+ * @param {string} inputPath - SQL file path
+ */
+async function loadDatabase(env, inputPath) {
+  const database = env.database || DATABASE_NAME;
+
+  // Start from an empty database so tables absent from the dump don't linger
+  const resetCode = await waitForExit(spawnInDb(env, resetScript(database), ['ignore', 'inherit', 'inherit']));
+  if (resetCode !== 0) {
+    throw new Error(`Failed to reset database (exit code ${resetCode})`);
+  }
+
+  const child = spawnInDb(env, importScript(database), ['pipe', 'inherit', 'inherit']);
+  const streams = [fs.createReadStream(inputPath)];
+
+  if (inputPath.endsWith('.gz')) {
+    streams.push(zlib.createGunzip());
+  }
+
+  streams.push(child.stdin);
+
+  const [, code] = await Promise.all([pipeline(streams), waitForExit(child)]);
+  if (code !== 0) {
+    throw new Error(`mariadb exited with code ${code}`);
+  }
+}
+
+/**
+ * Run a single SQL query in the db container and return the rows
+ * @param {object} env - Environment from getEnvironment(); env.database selects another database
+ * @param {string} sql - SQL query (must not contain double quotes)
+ * @returns {string[][]} Rows of tab-separated columns, empty if the query failed
+ */
+function queryDb(env, sql) {
+  const result = spawnSync(
+    'docker',
+    [
+      'compose',
+      '-p', env.projectName,
+      '-f', env.composePath,
+      'exec', '-T',
+      'db',
+      'sh', '-c', `MYSQL_PWD="$MYSQL_ROOT_PASSWORD" exec mariadb -uroot -N -B ${env.database || DATABASE_NAME} -e "${sql}"`
+    ],
+    { cwd: env.composeDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }
+  );
+
+  if (result.status !== 0 || !result.stdout) {
+    return [];
+  }
+
+  return result.stdout.split('\n').filter(Boolean).map(line => line.split('\t'));
+}
+
+/**
+ * Detect the primary domain stored in the imported database
+ * Uses wp_site for multisite networks and the siteurl option otherwise
+ * @param {object} env - Environment from getEnvironment()
+ * @returns {string|null} Domain (e.g. www.bu.edu) or null if not found
+ */
+function detectSourceDomain(env) {
+  const siteRows = queryDb(env, 'SELECT domain FROM wp_site ORDER BY id LIMIT 1');
+  if (siteRows.length > 0 && siteRows[0][0]) {
+    return siteRows[0][0];
+  }
+
+  const optionRows = queryDb(env, "SELECT option_value FROM wp_options WHERE option_name = 'siteurl'");
+  if (optionRows.length > 0 && optionRows[0][0]) {
+    try {
+      return new URL(optionRows[0][0]).host;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse --map from=to values into a domain map
+ * @param {string[]} values - Raw --map option values
+ * @returns {object[]} Array of { from, to }
+ */
+function parseDomainMap(values = []) {
+  return values.map(value => {
+    const [from, to] = value.split('=').map(part => (part || '').trim());
+    if (!from || !to) {
+      throw new Error(`Invalid --map value "${value}" (expected from=to)`);
+    }
+    return { from, to };
+  });
+}
+
+/**
+ * Run wp search-replace across every table in the network
+ * @param {object} env - Environment from getEnvironment(); env.database selects another database
+ * @param {object} mapping - { from, to }
+ * @param {string} url - Site URL WP-CLI should bootstrap with (must exist in the database)
+ * @param {boolean} dryRun - Report changes without writing them
+ * @returns {object[]} Per-column results: { table, column, replacements }
+ */
+function searchReplace(env, mapping, url, dryRun) {
+  const wpArgs = [
+    'search-replace', mapping.from, mapping.to,
+    '--all-tables-with-prefix',
+    '--skip-plugins',
+    '--skip-themes',
+    '--report-changed-only',
+    `--url=${url}`
+  ];
+
+  if (env.config.multisite) wpArgs.push('--network');
+  if (dryRun) wpArgs.push('--dry-run');
+
+  const result = spawnSync(
+    'docker',
+    [
+      'compose',
+      '-p', env.projectName,
+      '-f', env.composePath,
+      'exec', '-T',
+      // wp-config.php reads DB_NAME from the environment, so WP-CLI can work on another database
+      ...(env.database ? ['-e', `WORDPRESS_DB_NAME=${env.database}`] : []),
+      'wordpress',
+      'wp', ...wpArgs
+    ],
+    { cwd: env.composeDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'inherit'] }
+  );
+
+  if (result.status !== 0) {
+    throw new Error(`wp search-replace ${mapping.from} ${mapping.to} failed (exit code ${result.status})`);
+  }
+
+  return parseSearchReplaceReport(result.stdout);
+}
+
+/**
+ * Parse the table printed by wp search-replace
+ * Handles both the ASCII table (TTY) and tab-separated (piped) renderings
+ * @param {string} output - WP-CLI output
+ * @returns {object[]} Per-column results: { table, column, replacements }
+ */
+function parseSearchReplaceReport(output) {
+  const rows = [];
+
+  for (const line of output.split('\n')) {
+    let cells;
+    if (line.startsWith('|')) {
+      cells = line.split('|').slice(1, -1).map(c => c.trim());
+    } else if (line.includes('\t')) {
+      cells = line.split('\t').map(c => c.trim());
+    } else {
+      continue;
+    }
+
+    const replacements = parseInt(cells[2], 10);
+    if (cells.length >= 3 && !isNaN(replacements)) {
+      rows.push({ table: cells[0], column: cells[1], replacements });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Print a dry-run report of replacements per table
+ * @param {object[]} mappings - Array of { from, to }
+ * @param {object[][]} reports - Search-replace results, one array per mapping
+ * @returns {number} Total replacements
+ */
+function printReplaceReport(mappings, reports) {
+  let total = 0;
+
+  mappings.forEach((mapping, index) => {
+    const byTable = {};
+    for (const row of reports[index]) {
+      byTable[row.table] = (byTable[row.table] || 0) + row.replacements;
+    }
+
+    const tables = Object.entries(byTable);
+    const mappingTotal = tables.reduce((sum, [, count]) => sum + count, 0);
+    total += mappingTotal;
+
+    console.log(chalk.cyan(`\n  ${mapping.from} → ${mapping.to}`));
+    if (tables.length === 0) {
+      console.log(chalk.gray('    (no matches)'));
+      return;
+    }
+
+    const width = Math.max(...tables.map(([table]) => table.length));
+    tables.forEach(([table, count]) => {
+      console.log(chalk.gray(`    ${table.padEnd(width)}  ${count}`));
+    });
+    console.log(chalk.white(`    ${'Total'.padEnd(width)}  ${mappingTotal}`));
+  });
+
+  console.log('');
+  return total;
+}
+
+/**
+ * Rewrite domains in the imported database to the local hostname
+ * @param {object} env - Environment from getEnvironment()
+ * @param {object} options - Command options (map, dryRun, force)
+ */
+async function rewriteDomains(env, options) {
+  const hostname = env.config.hostname;
+
+  if (!isServiceRunning(env.projectName, env.composePath, 'wordpress')) {
+    console.log(chalk.yellow('⚠️  WordPress container is not running, skipping search-replace.'));
+    console.log(chalk.gray('Start the environment and run "buwp-local wp search-replace <old-domain> ' + hostname + ' --network" manually.\n'));
+    return;
+  }
+
+  const sourceDomain = detectSourceDomain(env);
+  let mappings = parseDomainMap(options.map);
+
+  if (mappings.length === 0) {
+    if (!sourceDomain) {
+      console.log(chalk.yellow('⚠️  Could not detect the source domain in the imported database.'));
+      console.log(chalk.gray(`Use --map <old-domain>=${hostname} to rewrite it.\n`));
+      return;
+    }
+    if (sourceDomain === hostname) {
+      console.log(chalk.gray(`Database already uses ${hostname}, no search-replace needed.\n`));
+      return;
+    }
+    mappings = [{ from: sourceDomain, to: hostname }];
+  }
+
+  // WP-CLI must bootstrap with a URL that exists in the imported network
+  let url = sourceDomain || mappings[0].from;
+
+  console.log(chalk.blue('🔎 Search-replace preview (rows changed per table):'));
+  const reports = mappings.map(mapping => searchReplace(env, mapping, url, true));
+  const total = printReplaceReport(mappings, reports);
+
+  if (total === 0) {
+    console.log(chalk.gray('Nothing to replace.\n'));
+    return;
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.yellow('Dry run: no replacements were made and the site database was not changed.\n'));
+    return;
+  }
+
+  if (!options.force) {
+    const { confirmed } = await prompts({
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Apply ${total} replacement(s)?`,
+      initial: true
+    });
+
+    if (!confirmed) {
+      console.log(chalk.yellow('\n⚠️  Search-replace skipped. The site may not load until domains match ' + hostname + '.\n'));
+      return;
+    }
+  }
+
+  for (const mapping of mappings) {
+    searchReplace(env, mapping, url, false);
+    console.log(chalk.green(`  ✓ ${mapping.from} → ${mapping.to}`));
+    if (mapping.from === url) {
+      url = mapping.to;
+    }
+  }
+
+  console.log(chalk.green(`\n✅ Applied ${total} replacement(s)\n`));
+}
+
+/**
+ * Get the snapshots directory for a project
+ * @param {string} projectPath - Project directory path
+ * @returns {string}
+ */
+function getSnapshotsDir(projectPath) {
+  return path.join(projectPath, '.buwp-local', 'snapshots');
+}
+
+/**
+ * Get the dump and metadata paths for a named snapshot
+ * @param {string} projectPath - Project directory path
+ * @param {string} name - Snapshot name
+ * @returns {object} { dumpPath, metaPath }
+ */
+function getSnapshotPaths(projectPath, name) {
+  const dir = getSnapshotsDir(projectPath);
+  return {
+    dumpPath: path.join(dir, `${name}.sql.gz`),
+    metaPath: path.join(dir, `${name}.json`)
+  };
+}
+
+/**
+ * Read all snapshot metadata for a project, newest first
+ * @param {string} projectPath - Project directory path
+ * @returns {object[]} Snapshot metadata entries
+ */
+function readSnapshots(projectPath) {
+  const dir = getSnapshotsDir(projectPath);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const snapshots = [];
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+    const name = file.slice(0, -'.json'.length);
+    const { dumpPath, metaPath } = getSnapshotPaths(projectPath, name);
+    if (!fs.existsSync(dumpPath)) continue;
+
+    try {
+      const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      snapshots.push({ ...meta, name, size: fs.statSync(dumpPath).size });
+    } catch (err) {
+      // Skip unreadable metadata
+    }
+  }
+
+  return snapshots.sort((a, b) => String(b.created).localeCompare(String(a.created)));
+}
+
+/**
+ * Build a sortable timestamp for default file and snapshot names
+ * @returns {string} e.g. 20251019-141502
+ */
+function fileTimestamp() {
+  return new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Ask the user to confirm replacing the current database
+ * @param {string} projectName - Project name
+ * @param {string} source - Description of what will be loaded
+ * @returns {Promise<boolean>}
+ */
+async function confirmReplace(projectName, source) {
+  console.log(chalk.yellow(`This will replace the ${chalk.bold(projectName)} database with ${source}.`));
+  console.log(chalk.yellow('All current content in the database will be lost.\n'));
+
+  const { confirmed } = await prompts({
+    type: 'confirm',
+    name: 'confirmed',
+    message: 'Continue?',
+    initial: false
+  });
+
+  return confirmed;
+}
+
+/**
+ * Export the database to a SQL file
+ * @param {string[]} args - [file]
+ */
+async function exportCommand(args) {
+  const env = getEnvironment();
+  const outputPath = path.resolve(args[0] || `${env.projectName}-${fileTimestamp()}.sql.gz`);
+
+  console.log(chalk.blue('📤 Exporting database...\n'));
+  await dumpDatabase(env, outputPath);
+
+  const size = fs.statSync(outputPath).size;
+  console.log(chalk.green(`✅ Exported database to ${outputPath} (${formatSize(size)})\n`));
+}
+
+/**
+ * Import a SQL file into the database
+ * @param {string[]} args - <file>
+ * @param {object} options - Command options
+ */
+async function importCommand(args, options) {
+  if (args.length === 0) {
+    console.log(chalk.red('❌ Missing SQL file\n'));
+    console.log(chalk.gray('Usage: buwp-local db import <file.sql|file.sql.gz>\n'));
+    process.exit(1);
+  }
+
+  const inputPath = path.resolve(args[0]);
+  if (!fs.existsSync(inputPath)) {
+    console.log(chalk.red(`❌ File not found: ${inputPath}\n`));
+    process.exit(1);
+  }
+
+  const env = getEnvironment();
+
+  if (options.dryRun) {
+    await dryRunImport(env, inputPath, options);
+    return;
+  }
+
+  if (!options.force) {
+    const confirmed = await confirmReplace(env.projectName, path.basename(inputPath));
+    if (!confirmed) {
+      console.log(chalk.gray('\nImport cancelled.\n'));
+      return;
+    }
+  }
+
+  console.log(chalk.blue('\n📥 Importing database...\n'));
+  await loadDatabase(env, inputPath);
+  console.log(chalk.green(`✅ Imported ${inputPath}\n`));
+
+  if (options.searchReplace !== false) {
+    await rewriteDomains(env, options);
+  }
+}
+
+/**
+ * Load a dump into a scratch database and preview the search-replace there
+ * The site's database is never touched; the scratch database is dropped afterwards.
+ * @param {object} env - Environment from getEnvironment()
+ * @param {string} inputPath - SQL file path
+ * @param {object} options - Command options
+ */
+async function dryRunImport(env, inputPath, options) {
+  const scratchEnv = { ...env, database: DRY_RUN_DATABASE_NAME };
+
+  try {
+    console.log(chalk.blue(`\n📥 Loading dump into scratch database ${DRY_RUN_DATABASE_NAME} (dry run)...\n`));
+    await loadDatabase(scratchEnv, inputPath);
+
+    if (options.searchReplace !== false) {
+      await rewriteDomains(scratchEnv, options);
+    } else {
+      console.log(chalk.green(`✅ ${inputPath} loads without errors\n`));
+    }
+  } finally {
+    await waitForExit(spawnInDb(env, dropScript(DRY_RUN_DATABASE_NAME), ['ignore', 'ignore', 'inherit']));
+  }
+}
+
+/**
+ * Save a named, gzipped snapshot with metadata
+ * @param {string[]} args - [name]
+ * @param {object} options - Command options
+ */
+async function snapshotCommand(args, options) {
+  const name = args[0] || fileTimestamp();
+
+  if (!SNAPSHOT_NAME_PATTERN.test(name)) {
+    console.log(chalk.red(`❌ Invalid snapshot name: ${name}\n`));
+    console.log(chalk.gray('Use letters, numbers, dots, dashes and underscores only.\n'));
+    process.exit(1);
+  }
+
+  const env = getEnvironment();
+  const { dumpPath, metaPath } = getSnapshotPaths(env.projectPath, name);
+
+  if (fs.existsSync(dumpPath) && !options.force) {
+    console.log(chalk.yellow(`⚠️  Snapshot "${name}" already exists.\n`));
+    const { shouldOverwrite } = await prompts({
+      type: 'confirm',
+      name: 'shouldOverwrite',
+      message: 'Overwrite existing snapshot?',
+      initial: false
+    });
+
+    if (!shouldOverwrite) {
+      console.log(chalk.gray('\nSnapshot cancelled.\n'));
+      return;
+    }
+  }
+
+  console.log(chalk.blue(`📸 Creating snapshot "${name}"...\n`));
+  fs.mkdirSync(getSnapshotsDir(env.projectPath), { recursive: true });
+
+  // Write to temporary files and rename them into place, so a failed dump keeps an existing snapshot
+  // The dot prefix and suffixes keep them out of readSnapshots()
+  const tempDumpPath = path.join(getSnapshotsDir(env.projectPath), `.${name}.${process.pid}.tmp.sql.gz`);
+  const tempMetaPath = path.join(getSnapshotsDir(env.projectPath), `.${name}.${process.pid}.json.tmp`);
+  await dumpDatabase(env, tempDumpPath);
+
+  const metadata = {
+    name,
+    created: new Date().toISOString(),
+    projectName: env.projectName,
+    image: env.config.image,
+    hostname: env.config.hostname,
+    multisite: env.config.multisite
+  };
+  try {
+    fs.writeFileSync(tempMetaPath, JSON.stringify(metadata, null, 2) + '\n');
+    fs.renameSync(tempDumpPath, dumpPath);
+    fs.renameSync(tempMetaPath, metaPath);
+  } catch (err) {
+    fs.rmSync(tempDumpPath, { force: true });
+    fs.rmSync(tempMetaPath, { force: true });
+    throw err;
+  }
+
+  const size = fs.statSync(dumpPath).size;
+  console.log(chalk.green(`✅ Snapshot "${name}" saved (${formatSize(size)})\n`));
+  console.log(chalk.gray(`Restore it with: buwp-local db restore ${name}\n`));
+}
+
+/**
+ * Restore a named snapshot
+ * @param {string[]} args - <name>
+ * @param {object} options - Command options
+ */
+async function restoreCommand(args, options) {
+  if (args.length === 0) {
+    console.log(chalk.red('❌ Missing snapshot name\n'));
+    console.log(chalk.gray('Usage: buwp-local db restore <name>'));
+    console.log(chalk.gray('Run "buwp-local db snapshots" to see available snapshots.\n'));
+    process.exit(1);
+  }
+
+  const name = args[0];
+  const projectPath = process.cwd();
+  const snapshot = readSnapshots(projectPath).find(s => s.name === name);
+
+  if (!snapshot) {
+    console.log(chalk.red(`❌ Snapshot not found: ${name}\n`));
+    console.log(chalk.gray('Run "buwp-local db snapshots" to see available snapshots.\n'));
+    process.exit(1);
+  }
+
+  const env = getEnvironment();
+
+  // Warn when the snapshot was taken under different settings
+  if (snapshot.hostname && snapshot.hostname !== env.config.hostname) {
+    console.log(chalk.yellow(`⚠️  Snapshot hostname (${snapshot.hostname}) differs from current hostname (${env.config.hostname}).`));
+  }
+  if (typeof snapshot.multisite === 'boolean' && snapshot.multisite !== env.config.multisite) {
+    console.log(chalk.yellow(`⚠️  Snapshot was taken with multisite ${snapshot.multisite ? 'enabled' : 'disabled'}.`));
+  }
+
+  if (!options.force) {
+    const confirmed = await confirmReplace(env.projectName, `snapshot "${name}" (${snapshot.created})`);
+    if (!confirmed) {
+      console.log(chalk.gray('\nRestore cancelled.\n'));
+      return;
+    }
+  }
+
+  console.log(chalk.blue(`\n⏪ Restoring snapshot "${name}"...\n`));
+  const { dumpPath } = getSnapshotPaths(projectPath, name);
+  await loadDatabase(env, dumpPath);
+  console.log(chalk.green(`✅ Restored snapshot "${name}"\n`));
+}
+
+/**
+ * List snapshots for the current project
+ */
+async function snapshotsCommand() {
+  console.log(chalk.blue('📸 Database Snapshots\n'));
+
+  const snapshots = readSnapshots(process.cwd());
+
+  if (snapshots.length === 0) {
+    console.log(chalk.yellow('No snapshots found.\n'));
+    console.log(chalk.gray('Run "buwp-local db snapshot <name>" to create one.\n'));
+    return;
+  }
+
+  snapshots.forEach(snapshot => {
+    console.log(chalk.cyan(`  ${snapshot.name}`));
+    console.log(chalk.gray(`    Created:   ${snapshot.created}`));
+    console.log(chalk.gray(`    Size:      ${formatSize(snapshot.size)}`));
+    console.log(chalk.gray(`    Hostname:  ${snapshot.hostname}`));
+    console.log(chalk.gray(`    Multisite: ${snapshot.multisite ? 'yes' : 'no'}`));
+    console.log(chalk.gray(`    Image:     ${snapshot.image}`));
+  });
+
+  console.log(chalk.gray(`\nTotal: ${snapshots.length} snapshot(s)\n`));
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  console.log(chalk.blue('🗄️  Database Command\n'));
+  console.log('Export, import, snapshot and restore the WordPress database.\n');
+  console.log(chalk.cyan('Usage:'));
+  console.log('  buwp-local db <subcommand> [options]\n');
+  console.log(chalk.cyan('Subcommands:'));
+  console.log('  export [file]     Export database (gzipped if file ends in .gz)');
+  console.log('  import <file>     Replace database with a .sql or .sql.gz file and rewrite domains');
+  console.log('  snapshot [name]   Save a named snapshot to .buwp-local/snapshots/');
+  console.log('  restore <name>    Replace database with a saved snapshot');
+  console.log('  snapshots         List saved snapshots\n');
+  console.log(chalk.cyan('Options:'));
+  console.log('  -f, --force           Skip confirmation prompts');
+  console.log('  --map <from=to>       Import: domain to rewrite (repeatable, default: detected domain → hostname)');
+  console.log('  --dry-run             Import: load into a scratch database and report replacements per table');
+  console.log('  --no-search-replace   Import: load the dump without rewriting domains\n');
+  console.log(chalk.cyan('Examples:'));
+  console.log('  # Checkpoint before a risky migration');
+  console.log('  buwp-local db snapshot before-migration\n');
+  console.log('  # Roll back');
+  console.log('  buwp-local db restore before-migration\n');
+  console.log('  # Import a production dump, rewriting the domain to this hostname');
+  console.log('  buwp-local db import prod.sql.gz --map www.bu.edu=me.local\n');
+  console.log('  # Export to a file for sharing');
+  console.log('  buwp-local db export backup.sql.gz\n');
+}
+
+export default dbCommand;
@@ -8,6 +8,7 @@ import path from 'path';
 import fs from 'fs';
 import readline from 'readline';
 import { loadConfig } from '../config.js';
+import { removeProjectHosts } from './hosts.js';
 
 async function destroyCommand(options) {
   console.log(chalk.red('⚠️  DESTROY BU WordPress local environment\n'));
@@ -62,6 +63,16 @@ async function destroyCommand(options) {
     }
 
     console.log(chalk.green('\n✅ Environment destroyed successfully!\n'));
+
+    if (config.autoManageHosts) {
+      try {
+        removeProjectHosts({ projectName });
+      } catch (err) {
+        console.log(chalk.yellow(`⚠️  Could not update /etc/hosts: ${err.message}`));
+        console.log(chalk.gray('Remove the entries later with "buwp-local hosts remove".\n'));
+      }
+    }
+
     console.log(chalk.gray('Use "buwp-local start" to create a fresh environment.\n'));
 
   } catch (err) {
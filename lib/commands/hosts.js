@@ -0,0 +1,238 @@
+/**
+ * Hosts command - Manage buwp-local entries in the hosts file
+ */
+
+import chalk from 'chalk';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig } from '../config.js';
+import { getSiteDomains } from '../docker.js';
+import {
+  HOSTS_FILE_PATH,
+  readHostsFile,
+  writeHostsFile,
+  canWriteHostsFile,
+  checkHostsFile,
+  addHostEntries,
+  removeHostEntries,
+  getProjectHostEntries,
+  getProjectHostnames
+} from '../hosts.js';
+
+const CLI_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'bin', 'buwp-local.js');
+
+async function hostsCommand(subcommand, args, options) {
+  try {
+    switch (subcommand) {
+      case 'add':
+        addProjectHosts(getProject(), args, options);
+        break;
+      case 'remove':
+        removeProjectHosts(getProject(), args, options);
+        break;
+      case 'check':
+        checkCommand(args, options);
+        break;
+      default:
+        showHelp();
+    }
+  } catch (err) {
+    console.error(chalk.red('\n❌ Error:'), err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolve the current project
+ * @returns {object} { config, projectPath, composePath, projectName }
+ */
+function getProject() {
+  const projectPath = process.cwd();
+  const config = loadConfig(projectPath);
+  return {
+    config,
+    projectPath,
+    composePath: path.join(projectPath, '.buwp-local', 'docker-compose.yml'),
+    projectName: config.projectName || 'buwp-local'
+  };
+}
+
+/**
+ * Hostnames to manage: the ones given on the command line, or the project's
+ * @param {object} project - Project from getProject()
+ * @param {string[]} args - Hostnames from the command line
+ * @returns {string[]}
+ */
+function resolveHostnames(project, args) {
+  if (args.length > 0) {
+    return args;
+  }
+
+  const siteDomains = project.config.multisite && fs.existsSync(project.composePath)
+    ? getSiteDomains(project.projectName, project.composePath)
+    : [];
+  return getProjectHostnames(project.config, siteDomains);
+}
+
+/**
+ * Write new hosts file content, re-running the command with sudo if the file isn't writable
+ * @param {string} content - New content
+ * @param {string} hostsPath - Hosts file path
+ * @param {string[]} sudoArgs - hosts subcommand and arguments to re-run with sudo
+ */
+function applyHostsFile(content, hostsPath, sudoArgs) {
+  if (canWriteHostsFile(hostsPath)) {
+    writeHostsFile(content, hostsPath);
+    return;
+  }
+
+  if (process.platform === 'win32') {
+    throw new Error(`Cannot write ${hostsPath}. Run the command again from an elevated (administrator) terminal`);
+  }
+  if (process.getuid() === 0) {
+    throw new Error(`Cannot write ${hostsPath}`);
+  }
+
+  console.log(chalk.gray(`Updating ${hostsPath} needs administrator rights, running with sudo...`));
+  const result = spawnSync(
+    'sudo',
+    [process.execPath, CLI_PATH, 'hosts', ...sudoArgs, '--hosts-file', hostsPath],
+    { stdio: 'inherit' }
+  );
+
+  if (result.error || result.status !== 0) {
+    throw new Error(`Failed to update ${hostsPath} with sudo`);
+  }
+}
+
+/**
+ * Print the lines a change adds or removes
+ * @param {string} sign - '+' or '-'
+ * @param {string[]} hostnames - Hostnames
+ */
+function printChanges(sign, hostnames) {
+  const color = sign === '+' ? chalk.green : chalk.red;
+  hostnames.forEach(hostname => console.log(color(`  ${sign} 127.0.0.1 ${hostname}`)));
+  console.log('');
+}
+
+/**
+ * Add hosts file entries for a project
+ * @param {object} project - { config, composePath, projectName }
+ * @param {string[]} args - Hostnames (default: project hostname and subdomain subsites)
+ * @param {object} options - { hostsFile, dryRun }
+ * @returns {string[]} Hostnames added
+ */
+export function addProjectHosts(project, args = [], options = {}) {
+  const hostsPath = options.hostsFile || HOSTS_FILE_PATH;
+  const hostnames = resolveHostnames(project, args);
+  const { content, added } = addHostEntries(readHostsFile(hostsPath), project.projectName, hostnames);
+
+  if (added.length === 0) {
+    console.log(chalk.green(`✓ ${hostnames.join(', ')} already in ${hostsPath}\n`));
+    return added;
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.yellow(`Dry run: would add to ${hostsPath}:`));
+    printChanges('+', added);
+    return added;
+  }
+
+  applyHostsFile(content, hostsPath, ['add', ...added]);
+  console.log(chalk.green(`✓ Added to ${hostsPath}:`));
+  printChanges('+', added);
+  return added;
+}
+
+/**
+ * Remove a project's managed hosts file entries
+ * @param {object} project - { projectName }
+ * @param {string[]} args - Hostnames (default: all of the project's entries)
+ * @param {object} options - { hostsFile, dryRun }
+ * @returns {string[]} Hostnames removed
+ */
+export function removeProjectHosts(project, args = [], options = {}) {
+  const hostsPath = options.hostsFile || HOSTS_FILE_PATH;
+  const { content, removed } = removeHostEntries(
+    readHostsFile(hostsPath),
+    project.projectName,
+    args.length > 0 ? args : null
+  );
+
+  if (removed.length === 0) {
+    console.log(chalk.gray(`No buwp-local entries for ${project.projectName} in ${hostsPath}\n`));
+    return removed;
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.yellow(`Dry run: would remove from ${hostsPath}:`));
+    printChanges('-', removed);
+    return removed;
+  }
+
+  applyHostsFile(content, hostsPath, ['remove', ...removed]);
+  console.log(chalk.green(`✓ Removed from ${hostsPath}:`));
+  printChanges('-', removed);
+  return removed;
+}
+
+/**
+ * Report which of the project's hostnames are in the hosts file
+ * Exits with code 1 if any are missing.
+ * @param {string[]} args - Hostnames (default: project hostname and subdomain subsites)
+ * @param {object} options - { hostsFile }
+ */
+function checkCommand(args, options) {
+  const project = getProject();
+  const hostsPath = options.hostsFile || HOSTS_FILE_PATH;
+  const managed = getProjectHostEntries(readHostsFile(hostsPath), project.projectName);
+  const hostnames = [...new Set([...resolveHostnames(project, args), ...(args.length > 0 ? [] : managed)])];
+
+  console.log(chalk.blue(`🔎 Hosts file: ${hostsPath}\n`));
+
+  const width = Math.max(...hostnames.map(hostname => hostname.length));
+  let missing = 0;
+
+  hostnames.forEach(hostname => {
+    const check = checkHostsFile(hostname, hostsPath);
+    if (!check.found) {
+      missing++;
+      console.log(`  ${hostname.padEnd(width)}  ${chalk.red('✗ missing')}`);
+    } else if (check.managed) {
+      console.log(`  ${hostname.padEnd(width)}  ${chalk.green('✓ managed by buwp-local')}`);
+    } else {
+      console.log(`  ${hostname.padEnd(width)}  ${chalk.green('✓ added manually')}`);
+    }
+  });
+  console.log('');
+
+  if (missing > 0) {
+    console.log(chalk.gray('Run "buwp-local hosts add" to add the missing entries.\n'));
+    process.exit(1);
+  }
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  console.log(chalk.blue('🌐 Hosts Command\n'));
+  console.log('Manage the buwp-local block in the hosts file.\n');
+  console.log(chalk.cyan('Usage:'));
+  console.log('  buwp-local hosts <subcommand> [hostnames...] [options]\n');
+  console.log(chalk.cyan('Subcommands:'));
+  console.log('  add [hostnames...]      Add the project hostname and subdomain subsites (or the given hostnames)');
+  console.log('  remove [hostnames...]   Remove this project\'s entries (or only the given hostnames)');
+  console.log('  check [hostnames...]    Show which hostnames are missing (exit code 1 if any)\n');
+  console.log(chalk.cyan('Options:'));
+  console.log(`  --hosts-file <path>   Hosts file to manage (default: ${HOSTS_FILE_PATH})`);
+  console.log('  --dry-run             Show the changes without writing them\n');
+  console.log(chalk.cyan('Notes:'));
+  console.log('  Commands re-run themselves with sudo only when the hosts file is not writable.');
+  console.log('  Set "autoManageHosts": true in .buwp-local.json to add entries on start and remove them on destroy.\n');
+}
+
+export default hostsCommand;
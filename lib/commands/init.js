@@ -7,13 +7,14 @@ import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs';
 import os from 'os';
-import { initConfig, CONFIG_FILE_NAME } from '../config.js';
+import { initConfig, CONFIG_FILE_NAME, LOCAL_CONFIG_FILE_NAME } from '../config.js';
+import { SCHEMA_URL } from '../config-schema.js';
 
 /**
  * Container path templates for project types
  * Defines where each project type maps to in the WordPress container
  */
-const MAPPING_TEMPLATES = {
+export const MAPPING_TEMPLATES = {
   'plugin': '/var/www/html/wp-content/plugins/{name}',
   'mu-plugin': '/var/www/html/wp-content/mu-plugins/{name}',
   'theme': '/var/www/html/wp-content/themes/{name}',
@@ -25,7 +26,7 @@ const MAPPING_TEMPLATES = {
  * @param {string} projectPath - Path to project directory
  * @returns {string|null} Detected project type or null
  */
-function detectProjectType(projectPath) {
+export function detectProjectType(projectPath) {
   // Check package.json for hints
   const packageJsonPath = path.join(projectPath, 'package.json');
   if (fs.existsSync(packageJsonPath)) {
@@ -66,6 +67,26 @@ function detectProjectType(projectPath) {
   return null; // Could not detect
 }
 
+/**
+ * Add the personal overrides file to the project's .gitignore, if it has one
+ * @param {string} projectPath - Project directory path
+ */
+function ignoreLocalConfig(projectPath) {
+  const gitignorePath = path.join(projectPath, '.gitignore');
+  if (!fs.existsSync(gitignorePath)) {
+    return;
+  }
+
+  const content = fs.readFileSync(gitignorePath, 'utf8');
+  if (content.split('\n').some(line => line.trim() === LOCAL_CONFIG_FILE_NAME)) {
+    return;
+  }
+
+  const separator = content === '' || content.endsWith('\n') ? '' : '\n';
+  fs.appendFileSync(gitignorePath, `${separator}${LOCAL_CONFIG_FILE_NAME}\n`);
+  console.log(chalk.gray(`Added ${LOCAL_CONFIG_FILE_NAME} to .gitignore for personal overrides\n`));
+}
+
 /**
  * Interactive initialization command
  * @param {object} options - Command options
@@ -99,6 +120,7 @@ async function initCommand(options) {
     
     const configPath = initConfig(projectPath, initOptions);
     console.log(chalk.green(`✅ Created configuration file: ${configPath}\n`));
+    ignoreLocalConfig(projectPath);
     return;
   }
   
@@ -227,6 +249,12 @@ async function initCommand(options) {
       message: 'Enable Shibboleth?',
       initial: true
     },
+    {
+      type: 'confirm',
+      name: 'mail',
+      message: 'Catch outgoing email with Mailpit?',
+      initial: false
+    },
     {
       type: 'confirm',
       name: 'xdebug',
@@ -244,6 +272,7 @@ async function initCommand(options) {
   
   // Build configuration object
   const config = {
+    $schema: SCHEMA_URL,
     projectName: answers.projectName,
     image: answers.image,
     hostname: answers.hostname,
@@ -251,13 +280,15 @@ async function initCommand(options) {
     services: {
       redis: answers.redis || false,
       s3proxy: answers.s3proxy || false,
-      shibboleth: answers.shibboleth || false
+      shibboleth: answers.shibboleth || false,
+      mail: answers.mail || false
     },
     ports: {
       http: parseInt(answers.httpPort),
       https: parseInt(answers.httpsPort),
       db: parseInt(answers.dbPort),
-      redis: 6379
+      redis: 6379,
+      mail: 8025
     },
     mappings: [],
     env: {
@@ -280,6 +311,7 @@ async function initCommand(options) {
   fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n');
   
   console.log(chalk.green(`\n✅ Created configuration file: ${configPath}\n`));
+  ignoreLocalConfig(projectPath);
   
   // Show summary
   console.log(chalk.cyan('📋 Configuration summary:'));
@@ -292,7 +324,8 @@ async function initCommand(options) {
   console.log(chalk.gray(`  Services: ${[
     answers.redis && 'Redis',
     answers.s3proxy && 'S3',
-    answers.shibboleth && 'Shibboleth'
+    answers.shibboleth && 'Shibboleth',
+    answers.mail && 'Mailpit'
   ].filter(Boolean).join(', ') || 'None'}\n`));
   
   // Show next steps
@@ -302,10 +335,9 @@ async function initCommand(options) {
   console.log(chalk.cyan(`     echo "127.0.0.1 ${answers.hostname}" | sudo tee -a /etc/hosts\n`));
   
   if (answers.projectType === 'sandbox') {
-    console.log(chalk.gray('  3. Edit .buwp-local.json and add volume mappings to the mappings array'));
+    console.log(chalk.gray('  3. Add volume mappings for your plugins and themes:'));
+    console.log(chalk.cyan('     npx buwp-local mappings add /path/to/plugin'));
     console.log(chalk.gray('  4. Run: npx buwp-local start'));
-    console.log(chalk.gray(`\n  Example mapping for .buwp-local.json mappings array:`));
-    console.log(chalk.gray(`  { "local": "/path/to/plugin", "container": "/var/www/html/wp-content/plugins/my-plugin" }`));
   } else {
     console.log(chalk.gray('  3. Run: npx buwp-local start'));
   }
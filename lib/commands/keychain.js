@@ -1,12 +1,16 @@
 /**
- * Keychain command - Manage credentials in macOS keychain
+ * Keychain command - Manage credentials in the system keychain
+ * (macOS Keychain or Linux Secret Service)
  */
 
 import chalk from 'chalk';
 import prompts from 'prompts';
 import fs from 'fs';
+import path from 'path';
 import {
   isPlatformSupported,
+  getBackend,
+  configureBackend,
   setCredential,
   getCredential,
   hasCredential,
@@ -14,11 +18,35 @@ import {
   clearAllCredentials,
   isMultilineCredential,
   parseCredentialsFile,
+  isEncryptedCredentialsFile,
+  writeCredentialsFile,
   CREDENTIAL_KEYS,
   CREDENTIAL_GROUPS,
   CREDENTIAL_DESCRIPTIONS,
-  MULTILINE_CREDENTIALS
+  MULTILINE_CREDENTIALS,
+  CREDENTIAL_STORE_ENV_VAR
 } from '../keychain.js';
+import {
+  credentialFileExists,
+  isCredentialFileUnlocked,
+  unlockCredentialFile,
+  lockCredentialFile,
+  startAgent,
+  stopAgent,
+  CREDENTIAL_FILE_PATH,
+  PASSPHRASE_ENV_VAR
+} from '../credential-store.js';
+import { loadConfig, sanitizeProjectName, CONFIG_FILE_NAME } from '../config.js';
+
+/**
+ * Default lifetime of the credential agent started by `keychain unlock`
+ */
+const DEFAULT_AGENT_TIMEOUT_MINUTES = 480;
+
+/**
+ * Longest lifetime `keychain unlock --timeout` accepts (7 days)
+ */
+const MAX_AGENT_TIMEOUT_MINUTES = 7 * 24 * 60;
 
 /**
  * Main keychain command handler
@@ -27,33 +55,73 @@ import {
  * @param {object} options - Command options
  */
 async function keychainCommand(subcommand, args, options) {
+  let project = null;
+
+  try {
+    // --project scopes credentials to the current project, --project <name> to another one
+    if (options.project === true) {
+      if (!fs.existsSync(path.join(process.cwd(), CONFIG_FILE_NAME))) {
+        throw new Error(`No ${CONFIG_FILE_NAME} in the current directory. Run this inside a project or name one: --project <name>`);
+      }
+      project = loadConfig(process.cwd()).projectName;
+    } else if (options.project) {
+      project = sanitizeProjectName(options.project);
+    }
+  } catch (err) {
+    console.error(chalk.red('\n❌ Error:'), err.message);
+    process.exit(1);
+  }
+
+  configureCredentialStore();
+
   // Check platform support first
   if (!isPlatformSupported()) {
-    console.log(chalk.yellow('⚠️  Keychain integration is only available on macOS.\n'));
-    console.log(chalk.gray('On this platform, please use .env.local for credential storage.\n'));
+    console.log(chalk.yellow('⚠️  No supported keychain found on this system.\n'));
+    console.log(chalk.gray('Keychain integration requires macOS Keychain, or secret-tool on Linux'));
+    console.log(chalk.gray('(e.g. "sudo apt install libsecret-tools" with GNOME Keyring or KWallet).'));
+    console.log(chalk.gray('Without a system keychain, use the encrypted file store (BUWP_LOCAL_CREDENTIAL_STORE=file)'));
+    console.log(chalk.gray('or .env.local for credential storage.\n'));
     process.exit(1);
   }
 
   try {
+    // The encrypted file store needs its passphrase before credentials can be read or written
+    if (!['unlock', 'lock', 'status'].includes(subcommand) && getBackend().name === 'file') {
+      if (!(await unlockCredentialStore())) {
+        console.log(chalk.red(`❌ Encrypted credential file is locked.\n`));
+        console.log(chalk.gray(`Run "buwp-local keychain unlock" or set ${PASSPHRASE_ENV_VAR}.\n`));
+        process.exit(1);
+      }
+    }
+
     switch (subcommand) {
       case 'setup':
-        await setupCommand(options);
+        await setupCommand(options, project);
         break;
       case 'set':
-        await setCommand(args, options);
+        await setCommand(args, options, project);
         break;
       case 'get':
-        await getCommand(args);
+        await getCommand(args, project);
         break;
       case 'list':
-        await listCommand();
+        await listCommand(project);
         break;
       case 'clear':
-        await clearCommand(options);
+        await clearCommand(options, project);
         break;
       case 'status':
         await statusCommand();
         break;
+      case 'export':
+        await exportCommand(options, project);
+        break;
+      case 'unlock':
+        await unlockCommand(options);
+        break;
+      case 'lock':
+        await lockCommand();
+        break;
       default:
         showHelp();
     }
@@ -63,27 +131,163 @@ async function keychainCommand(subcommand, args, options) {
   }
 }
 
+/**
+ * Apply the credentialStore setting from config, unless the environment variable overrides it
+ * A broken config file must not lock users out of their credentials, so errors fall back to auto.
+ */
+function configureCredentialStore() {
+  if (process.env[CREDENTIAL_STORE_ENV_VAR]) {
+    return;
+  }
+
+  try {
+    configureBackend(loadConfig(process.cwd()).credentialStore || 'auto');
+  } catch (err) {
+    console.log(chalk.yellow(`⚠️  Could not read configuration (${err.message}), using the default credential store.\n`));
+    configureBackend('auto');
+  }
+}
+
+/**
+ * Make sure the encrypted file store is unlocked, prompting for the passphrase if needed
+ * No-op for system keychain backends
+ * @param {object} [config] - Resolved configuration, to apply its credentialStore setting
+ * @returns {Promise<boolean>} True if credentials can be accessed
+ */
+export async function unlockCredentialStore(config = null) {
+  if (config) {
+    configureBackend(config.credentialStore || 'auto');
+  }
+
+  const backend = getBackend();
+  if (!backend || backend.name !== 'file' || isCredentialFileUnlocked()) {
+    return true;
+  }
+
+  if (!process.stdin.isTTY) {
+    return false;
+  }
+
+  const passphrase = await promptPassphrase(!credentialFileExists());
+  if (!passphrase) {
+    return false;
+  }
+
+  try {
+    unlockCredentialFile(passphrase);
+    return true;
+  } catch (err) {
+    console.log(chalk.red(`❌ ${err.message}\n`));
+    return false;
+  }
+}
+
+/**
+ * Prompt for the encrypted file passphrase
+ * @param {boolean} creating - Ask twice when creating a new file
+ * @returns {Promise<string|null>} Passphrase or null if cancelled
+ */
+async function promptPassphrase(creating) {
+  if (creating) {
+    console.log(chalk.cyan(`Creating encrypted credential file: ${CREDENTIAL_FILE_PATH}`));
+    console.log(chalk.gray('Choose a passphrase. It cannot be recovered if forgotten.\n'));
+  }
+
+  const { passphrase } = await prompts({
+    type: 'password',
+    name: 'passphrase',
+    message: creating ? 'New passphrase' : 'Credential file passphrase',
+    validate: val => (creating && val.length < 8) ? 'Use at least 8 characters' : true
+  });
+
+  if (!passphrase) {
+    return null;
+  }
+
+  if (creating) {
+    const { confirmation } = await prompts({
+      type: 'password',
+      name: 'confirmation',
+      message: 'Confirm passphrase'
+    });
+
+    if (confirmation !== passphrase) {
+      console.log(chalk.red('❌ Passphrases do not match\n'));
+      return null;
+    }
+  }
+
+  return passphrase;
+}
+
+/**
+ * Unlock the encrypted file store and cache the passphrase in a background agent
+ * @param {object} options - Command options
+ */
+async function unlockCommand(options) {
+  if (getBackend().name !== 'file') {
+    console.log(chalk.gray(`${getBackend().label} does not need unlocking.\n`));
+    return;
+  }
+
+  const timeout = options.timeout ? parseInt(options.timeout, 10) : DEFAULT_AGENT_TIMEOUT_MINUTES;
+  if (isNaN(timeout) || timeout < 1 || timeout > MAX_AGENT_TIMEOUT_MINUTES) {
+    console.log(chalk.red(`❌ Invalid timeout. Use a number of minutes from 1 to ${MAX_AGENT_TIMEOUT_MINUTES} (7 days).\n`));
+    process.exit(1);
+  }
+
+  console.log(chalk.blue('🔓 Unlock Encrypted Credential File\n'));
+
+  const passphrase = await promptPassphrase(!credentialFileExists());
+  if (!passphrase) {
+    console.log(chalk.gray('\nUnlock cancelled.\n'));
+    return;
+  }
+
+  unlockCredentialFile(passphrase);
+  startAgent(passphrase, timeout);
+
+  console.log(chalk.green(`\n✅ Credential file unlocked for ${timeout} minute(s)\n`));
+  console.log(chalk.gray('Run "buwp-local keychain lock" to forget the passphrase sooner.\n'));
+}
+
+/**
+ * Stop the credential agent
+ */
+async function lockCommand() {
+  lockCredentialFile();
+  if (stopAgent()) {
+    console.log(chalk.green('🔒 Credential agent stopped. Passphrase forgotten.\n'));
+  } else {
+    console.log(chalk.gray('No credential agent running.\n'));
+  }
+}
+
 /**
  * Interactive setup - prompts for all credentials
  * @param {object} options - Command options
+ * @param {string|null} project - Project name for project-scoped credentials
  */
-async function setupCommand(options) {
-  console.log(chalk.blue('🔐 Keychain Credential Setup\n'));
+async function setupCommand(options, project) {
+  console.log(chalk.blue(`🔐 Keychain Credential Setup${scopeLabel(project)}\n`));
   
   // Check if bulk import from file
   if (options.file) {
-    await bulkImportFromFile(options.file, options.force);
+    await bulkImportFromFile(options.file, options.force, project);
     return;
   }
   
   // Interactive mode
-  console.log(chalk.yellow('⚠️  macOS may prompt you to allow Node.js access to your keychain.'));
-  console.log(chalk.yellow('    Click "Always Allow" to avoid repeated prompts.\n'));
-  console.log(chalk.gray('This will store credentials securely in your macOS keychain.'));
-  console.log(chalk.gray('All buwp-local projects will use these credentials by default.\n'));
+  showAccessPromptWarning();
+  console.log(chalk.gray(`This will store credentials securely in your ${getBackend().label}.`));
+  if (project) {
+    console.log(chalk.gray(`Only project ${project} will use these credentials; they override the global ones.\n`));
+  } else {
+    console.log(chalk.gray('All buwp-local projects will use these credentials by default.\n'));
+  }
 
   // Check for existing credentials
-  const existingKeys = listCredentials();
+  const existingKeys = listCredentials(project);
   if (existingKeys.length > 0) {
     console.log(chalk.yellow(`Found ${existingKeys.length} existing credential(s) in keychain.`));
     const { shouldOverwrite } = await prompts({
@@ -110,7 +314,7 @@ async function setupCommand(options) {
 
     for (const key of keys) {
       const description = CREDENTIAL_DESCRIPTIONS[key];
-      const existing = hasCredential(key);
+      const existing = hasCredential(key, project);
       const isMultiline = isMultilineCredential(key);
       
       const prompt = existing 
@@ -142,7 +346,7 @@ async function setupCommand(options) {
         if (filePath) {
           try {
             const fileContent = fs.readFileSync(filePath.trim(), 'utf8');
-            setCredential(key, fileContent);
+            setCredential(key, fileContent, project);
             credentials[key] = true;
             totalStored++;
             const lineCount = fileContent.split('\n').length;
@@ -161,7 +365,7 @@ async function setupCommand(options) {
         });
 
         if (value) {
-          setCredential(key, value.trim());
+          setCredential(key, value.trim(), project);
           credentials[key] = true;
           totalStored++;
         }
@@ -216,15 +420,31 @@ async function promptToDeleteSourceFile(filePath, hasFailures = false) {
  * Bulk import credentials from JSON file
  * @param {string} filePath - Path to credentials JSON file
  * @param {boolean} force - Skip confirmation prompts
+ * @param {string|null} project - Project name for project-scoped credentials
  */
-async function bulkImportFromFile(filePath, force) {
-  console.log(chalk.yellow('⚠️  macOS may prompt you to allow Node.js access to your keychain.'));
-  console.log(chalk.yellow('    Click "Always Allow" to avoid repeated prompts.\n'));
+async function bulkImportFromFile(filePath, force, project = null) {
+  showAccessPromptWarning();
   
+  // Encrypted exports need their passphrase
+  let passphrase = null;
+  if (isEncryptedCredentialsFile(filePath)) {
+    console.log(chalk.cyan('🔒 This credentials file is encrypted.\n'));
+    ({ passphrase } = await prompts({
+      type: 'password',
+      name: 'passphrase',
+      message: 'File passphrase'
+    }));
+
+    if (!passphrase) {
+      console.log(chalk.gray('\nImport cancelled.\n'));
+      return;
+    }
+  }
+
   // Parse the credentials file
   let result;
   try {
-    result = parseCredentialsFile(filePath);
+    result = parseCredentialsFile(filePath, passphrase);
   } catch (err) {
     console.log(chalk.red(`❌ Failed to parse credentials file: ${err.message}\n`));
     process.exit(1);
@@ -279,7 +499,7 @@ async function bulkImportFromFile(filePath, force) {
   console.log(chalk.cyan(`Total: ${credentialCount} credential(s) to import\n`));
   
   // Check for existing credentials
-  const existingKeys = listCredentials();
+  const existingKeys = listCredentials(project);
   const willOverwrite = Object.keys(parsed).filter(k => existingKeys.includes(k));
   
   if (willOverwrite.length > 0 && !force) {
@@ -309,7 +529,7 @@ async function bulkImportFromFile(filePath, force) {
   
   for (const [key, value] of Object.entries(parsed)) {
     try {
-      setCredential(key, value);
+      setCredential(key, value, project);
       successCount++;
       console.log(chalk.green(`  ✓ ${key}`));
     } catch (err) {
@@ -339,10 +559,114 @@ async function bulkImportFromFile(filePath, force) {
   }
 }
 
+/**
+ * Export credentials to a JSON file in the bulk import format
+ * @param {object} options - Command options (out, group, encrypt, force)
+ */
+async function exportCommand(options, project = null) {
+  console.log(chalk.blue(`📦 Export Credentials${scopeLabel(project)}\n`));
+
+  // Resolve which credentials to export
+  let keys = CREDENTIAL_KEYS;
+  if (options.group) {
+    const groups = options.group.split(',').map(g => g.trim()).filter(Boolean);
+    const unknownGroups = groups.filter(g => !CREDENTIAL_GROUPS[g]);
+
+    if (unknownGroups.length > 0) {
+      console.log(chalk.red(`❌ Unknown credential group(s): ${unknownGroups.join(', ')}\n`));
+      console.log(chalk.gray(`Available groups: ${Object.keys(CREDENTIAL_GROUPS).join(', ')}\n`));
+      process.exit(1);
+    }
+
+    keys = groups.flatMap(g => CREDENTIAL_GROUPS[g]);
+  }
+
+  const credentials = {};
+  // With --project, only the project's own values are exported, not the global ones they fall back to
+  for (const key of keys) {
+    const value = getCredential(key, project);
+    if (value !== null) {
+      credentials[key] = value;
+    }
+  }
+
+  const exportedKeys = Object.keys(credentials);
+  if (exportedKeys.length === 0) {
+    console.log(chalk.yellow(`⚠️  No stored credentials to export${scopeLabel(project)}.\n`));
+    process.exit(1);
+  }
+
+  const outPath = path.resolve(options.out || 'buwp-local-credentials.json');
+
+  if (fs.existsSync(outPath) && !options.force) {
+    console.log(chalk.yellow(`⚠️  File already exists: ${outPath}\n`));
+    const { shouldOverwrite } = await prompts({
+      type: 'confirm',
+      name: 'shouldOverwrite',
+      message: 'Overwrite existing file?',
+      initial: false
+    });
+
+    if (!shouldOverwrite) {
+      console.log(chalk.gray('\nExport cancelled.\n'));
+      return;
+    }
+  }
+
+  let passphrase = null;
+  if (options.encrypt) {
+    console.log(chalk.gray('Choose a passphrase for the export file. Share it separately from the file.\n'));
+    ({ passphrase } = await prompts({
+      type: 'password',
+      name: 'passphrase',
+      message: 'Export passphrase',
+      validate: val => val.length >= 8 || 'Use at least 8 characters'
+    }));
+
+    if (!passphrase) {
+      console.log(chalk.gray('\nExport cancelled.\n'));
+      return;
+    }
+
+    const { confirmation } = await prompts({
+      type: 'password',
+      name: 'confirmation',
+      message: 'Confirm passphrase'
+    });
+
+    if (confirmation !== passphrase) {
+      console.log(chalk.red('❌ Passphrases do not match\n'));
+      process.exit(1);
+    }
+  }
+
+  writeCredentialsFile(outPath, credentials, passphrase);
+
+  // Show exported credentials by group
+  for (const [groupName, groupKeys] of Object.entries(CREDENTIAL_GROUPS)) {
+    const exportedInGroup = groupKeys.filter(k => credentials[k]);
+    if (exportedInGroup.length > 0) {
+      console.log(chalk.white(`  ${groupName.toUpperCase()}:`));
+      exportedInGroup.forEach(key => console.log(chalk.green(`    ✓ ${key}`)));
+    }
+  }
+
+  console.log(chalk.green(`\n✅ Exported ${exportedKeys.length} credential(s) to ${outPath}\n`));
+  console.log(chalk.gray(`Import on another machine with: buwp-local keychain setup --file ${path.basename(outPath)}${project ? ` --project ${project}` : ''}\n`));
+
+  if (!passphrase) {
+    console.log(chalk.yellow('⚠️  This file contains plaintext credentials.'));
+    console.log(chalk.yellow('   Delete it after importing, or use --encrypt.\n'));
+  }
+}
+
 /**
  * Set a single credential
+ * @param {string[]} args - <KEY> [value]
+ * @param {object} options - Command options
+ * @param {string|null} project - Project name for a project-scoped credential
  */
-async function setCommand(args, options) {
+async function setCommand(args, options, project) {
   if (args.length === 0) {
     console.log(chalk.red('❌ Missing credential key\n'));
     console.log(chalk.gray('Usage:'));
@@ -372,9 +696,9 @@ async function setCommand(args, options) {
   }
 
   // Check if credential already exists
-  const existing = hasCredential(key);
+  const existing = hasCredential(key, project);
   if (existing && !options.force) {
-    console.log(chalk.yellow(`⚠️  Credential ${key} already exists in keychain.\n`));
+    console.log(chalk.yellow(`⚠️  Credential ${key} already exists in keychain${scopeLabel(project)}.\n`));
     const { shouldOverwrite } = await prompts({
       type: 'confirm',
       name: 'shouldOverwrite',
@@ -432,7 +756,7 @@ async function setCommand(args, options) {
     }
     
     // Regular single-line prompt
-    console.log(chalk.yellow('⚠️  macOS may prompt you to allow keychain access.\n'));
+    showAccessPromptWarning();
     const description = CREDENTIAL_DESCRIPTIONS[key];
     
     const response = await prompts({
@@ -456,16 +780,19 @@ async function setCommand(args, options) {
     process.exit(1);
   }
 
-  setCredential(key, value.trim());
+  setCredential(key, value.trim(), project);
   const lines = value.trim().split('\n').length;
   const lineText = lines === 1 ? 'line' : 'lines';
-  console.log(chalk.green(`\n✅ Stored ${key} in keychain (${lines} ${lineText})\n`));
+  console.log(chalk.green(`\n✅ Stored ${key} in keychain${scopeLabel(project)} (${lines} ${lineText})\n`));
 }
 
 /**
  * Get a credential value (for debugging)
+ * With a project, shows the effective value (project-scoped, falling back to global)
+ * @param {string[]} args - <KEY>
+ * @param {string|null} project - Project name
  */
-async function getCommand(args) {
+async function getCommand(args, project) {
   if (args.length === 0) {
     console.log(chalk.red('❌ Missing credential key\n'));
     console.log(chalk.gray('Usage: buwp-local keychain get <KEY>\n'));
@@ -479,7 +806,8 @@ async function getCommand(args) {
     process.exit(1);
   }
 
-  const value = getCredential(key);
+  const projectValue = project ? getCredential(key, project) : null;
+  const value = projectValue !== null ? projectValue : getCredential(key);
 
   if (value === null) {
     console.log(chalk.yellow(`⚠️  Credential ${key} not found in keychain\n`));
@@ -497,15 +825,22 @@ async function getCommand(args) {
     masked = '*'.repeat(value.length);
   }
 
+  const source = project ? (projectValue !== null ? `, project ${project}` : ', global') : '';
   console.log(chalk.cyan(`\n${key}:`));
   console.log(chalk.white(`  ${masked}`));
-  console.log(chalk.gray(`  (length: ${value.length} characters)\n`));
+  console.log(chalk.gray(`  (length: ${value.length} characters${source})\n`));
 }
 
 /**
  * List all stored credentials
+ * @param {string|null} project - Project name to list project-scoped overrides
  */
-async function listCommand() {
+async function listCommand(project) {
+  if (project) {
+    listProjectCredentials(project);
+    return;
+  }
+
   console.log(chalk.blue('🔐 Stored Credentials\n'));
 
   const storedKeys = listCredentials();
@@ -534,13 +869,54 @@ async function listCommand() {
   console.log(chalk.gray(`\nTotal: ${storedKeys.length} credential(s) stored\n`));
 }
 
+/**
+ * List project-scoped credentials alongside the global ones they override
+ * @param {string} project - Project name
+ */
+function listProjectCredentials(project) {
+  console.log(chalk.blue(`🔐 Stored Credentials${scopeLabel(project)}\n`));
+
+  const projectKeys = listCredentials(project);
+  const globalKeys = listCredentials();
+
+  for (const [groupName, keys] of Object.entries(CREDENTIAL_GROUPS)) {
+    console.log(chalk.cyan(`\n${groupName.toUpperCase()}:`));
+    keys.forEach(key => {
+      if (projectKeys.includes(key)) {
+        const note = globalKeys.includes(key) ? 'project, overrides global' : 'project';
+        console.log(chalk.green(`  ✓ ${key} (${note})`));
+      } else if (globalKeys.includes(key)) {
+        console.log(chalk.gray(`  ✓ ${key} (global)`));
+      } else {
+        console.log(chalk.gray(`  - ${key} (not set)`));
+      }
+    });
+  }
+
+  console.log(chalk.gray(`\nTotal: ${projectKeys.length} project credential(s), ${globalKeys.length} global credential(s)\n`));
+  if (projectKeys.length === 0) {
+    console.log(chalk.gray(`Run "buwp-local keychain set <KEY> --project" to override a credential for ${project}.\n`));
+  }
+}
+
+/**
+ * Describe the credential scope for messages
+ * @param {string|null} project - Project name
+ * @returns {string} e.g. " (project: my-site)" or empty for global
+ */
+function scopeLabel(project) {
+  return project ? ` (project: ${project})` : '';
+}
+
 /**
  * Clear all credentials
+ * @param {object} options - Command options
+ * @param {string|null} project - Project name to clear only project-scoped credentials
  */
-async function clearCommand(options) {
-  console.log(chalk.red('⚠️  Clear All Credentials\n'));
+async function clearCommand(options, project) {
+  console.log(chalk.red(`⚠️  Clear All Credentials${scopeLabel(project)}\n`));
 
-  const storedKeys = listCredentials();
+  const storedKeys = listCredentials(project);
 
   if (storedKeys.length === 0) {
     console.log(chalk.yellow('No credentials stored in keychain.\n'));
@@ -567,7 +943,7 @@ async function clearCommand(options) {
     }
   }
 
-  const deletedCount = clearAllCredentials();
+  const deletedCount = clearAllCredentials(project);
   console.log(chalk.green(`\n✅ Removed ${deletedCount} credential(s) from keychain\n`));
 }
 
@@ -581,10 +957,21 @@ async function statusCommand() {
   console.log(chalk.white(`  ${process.platform} ${isPlatformSupported() ? '(supported ✓)' : '(not supported ✗)'}\n`));
 
   if (!isPlatformSupported()) {
-    console.log(chalk.yellow('Keychain integration is only available on macOS.\n'));
+    console.log(chalk.yellow('Keychain integration requires macOS Keychain or Linux secret-tool.\n'));
     return;
   }
 
+  console.log(chalk.cyan('Backend:'));
+  console.log(chalk.white(`  ${getBackend().label}\n`));
+
+  if (getBackend().name === 'file') {
+    const state = !credentialFileExists() ? 'not created yet'
+      : isCredentialFileUnlocked() ? 'unlocked ✓'
+      : 'locked (run "buwp-local keychain unlock")';
+    console.log(chalk.cyan('Encrypted file:'));
+    console.log(chalk.white(`  ${state}\n`));
+  }
+
   const storedKeys = listCredentials();
   const totalKeys = CREDENTIAL_KEYS.length;
 
@@ -611,12 +998,25 @@ async function statusCommand() {
   }
 }
 
+/**
+ * Warn about OS access prompts when storing credentials
+ * Only macOS asks the user to allow access per application
+ */
+function showAccessPromptWarning() {
+  if (getBackend().name === 'macos') {
+    console.log(chalk.yellow('⚠️  macOS may prompt you to allow Node.js access to your keychain.'));
+    console.log(chalk.yellow('    Click "Always Allow" to avoid repeated prompts.\n'));
+  } else if (getBackend().name === 'secret-service') {
+    console.log(chalk.yellow('⚠️  Your desktop keyring may prompt you to unlock it.\n'));
+  }
+}
+
 /**
  * Show help message
  */
 function showHelp() {
   console.log(chalk.blue('🔐 Keychain Command\n'));
-  console.log('Manage credentials in macOS keychain for secure storage.\n');
+  console.log('Manage credentials in the system keychain (macOS Keychain or Linux Secret Service).\n');
   console.log(chalk.cyan('Usage:'));
   console.log('  buwp-local keychain <subcommand> [options]\n');
   console.log(chalk.cyan('Subcommands:'));
@@ -625,7 +1025,10 @@ function showHelp() {
   console.log('  get <KEY>     Get a credential value (masked)');
   console.log('  list          List all stored credentials');
   console.log('  clear         Remove all credentials');
-  console.log('  status        Show keychain status\n');
+  console.log('  status        Show keychain status');
+  console.log('  export        Export credentials to a JSON file (bulk import format)');
+  console.log('  unlock        Unlock the encrypted file store for this session');
+  console.log('  lock          Forget the encrypted file store passphrase\n');
   console.log(chalk.cyan('Setup Command Options:'));
   console.log('  --file <path>  Bulk import credentials from JSON file\n');
   console.log(chalk.cyan('Set Command Options:'));
@@ -642,10 +1045,26 @@ function showHelp() {
   console.log('  buwp-local keychain set WORDPRESS_DB_PASSWORD mypassword\n');
   console.log('  # Set multiline credential from file (required for keys/certificates)');
   console.log('  buwp-local keychain set SHIB_SP_KEY --file private-key.pem\n');
+  console.log('  # Point this project at a different OLAP (overrides the global value)');
+  console.log('  buwp-local keychain set OLAP my-sandbox-olap --project\n');
+  console.log('  # Export shared S3/OLAP values for a new team member');
+  console.log('  buwp-local keychain export --group s3,olap --encrypt --out team-creds.json\n');
   console.log('  # Pipe credential from file or command');
   console.log('  cat certificate.pem | buwp-local keychain set SHIB_SP_CERT --stdin\n');
+  console.log(chalk.cyan('Export Command Options:'));
+  console.log('  --out <file>       Output file (default: buwp-local-credentials.json)');
+  console.log('  --group <groups>   Comma-separated groups to export (database, shibboleth, s3, olap)');
+  console.log('  --encrypt          Encrypt the file with a passphrase\n');
+  console.log(chalk.cyan('Unlock Command Options:'));
+  console.log('  --timeout <minutes>  How long the passphrase stays cached (default: 480, max: 10080)\n');
   console.log(chalk.cyan('Global Options:'));
-  console.log('  -f, --force   Skip confirmation prompts\n');
+  console.log('  -f, --force       Skip confirmation prompts');
+  console.log('  --project [name]  Use project-scoped credentials (setup, set, get, list, clear, export)');
+  console.log('                    for the current project, or the named one\n');
+  console.log(chalk.cyan('Encrypted File Store:'));
+  console.log('  Without a system keychain (containers, CI, headless Linux), set');
+  console.log('  BUWP_LOCAL_CREDENTIAL_STORE=file or "credentialStore": "file" in .buwp-local.json.');
+  console.log(`  The passphrase is read from ${PASSPHRASE_ENV_VAR} or the agent started by "unlock".\n`);
   console.log(chalk.cyan('Credentials File Format (JSON):'));
   console.log(chalk.gray('  {'));
   console.log(chalk.gray('    "version": "1.0",'));
@@ -0,0 +1,172 @@
+/**
+ * List command - Shows every registered project with its state and volumes
+ */
+
+import chalk from 'chalk';
+import { execSync } from 'child_process';
+import { listProjects, REGISTRY_PATH } from '../registry.js';
+import { isDockerRunning } from '../docker.js';
+
+async function listCommand(options) {
+  try {
+    const { projects, pruned } = listProjects();
+    const docker = isDockerRunning();
+    const states = docker ? getProjectStates() : {};
+    const volumes = docker ? getProjectVolumes() : {};
+
+    const report = projects.map(project => {
+      const projectVolumes = volumes[project.projectName] || [];
+      return {
+        ...project,
+        state: docker ? describeState(states[project.projectName]) : 'unknown',
+        volumes: projectVolumes,
+        volumeSize: projectVolumes.length > 0
+          ? formatDockerSize(projectVolumes.reduce((total, volume) => total + parseDockerSize(volume.size), 0))
+          : null
+      };
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify({ projects: report, pruned: pruned.map(project => project.path) }, null, 2));
+      return;
+    }
+
+    printProjects(report, pruned, docker);
+  } catch (err) {
+    console.error(chalk.red('\n❌ Error:'), err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Count running and total containers for every Compose project
+ * @returns {object} Map of project name to { running, total }
+ */
+function getProjectStates() {
+  const output = execSync(
+    'docker ps --all --filter label=com.docker.compose.project --format \'{{.Label "com.docker.compose.project"}}\t{{.State}}\'',
+    { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }
+  );
+
+  const states = {};
+  for (const line of output.split('\n').filter(Boolean)) {
+    const [project, state] = line.split('\t');
+    states[project] = states[project] || { running: 0, total: 0 };
+    states[project].total++;
+    if (state === 'running') {
+      states[project].running++;
+    }
+  }
+  return states;
+}
+
+/**
+ * Describe a project's container state
+ * @param {object|undefined} state - { running, total } from getProjectStates()
+ * @returns {string} running, stopped, partial (n/m) or not created
+ */
+function describeState(state) {
+  if (!state) return 'not created';
+  if (state.running === 0) return 'stopped';
+  if (state.running === state.total) return 'running';
+  return `partial (${state.running}/${state.total})`;
+}
+
+/**
+ * Get the Docker volumes of every Compose project with their sizes
+ * @returns {object} Map of project name to [{ name, size }]
+ */
+function getProjectVolumes() {
+  let volumes;
+  try {
+    const output = execSync('docker system df -v --format \'{{json .Volumes}}\'', {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+    volumes = JSON.parse(output.trim() || '[]') || [];
+  } catch (err) {
+    return {};
+  }
+
+  const byProject = {};
+  for (const volume of volumes) {
+    const match = /(?:^|,)com\.docker\.compose\.project=([^,]+)/.exec(volume.Labels || '');
+    if (!match) continue;
+    byProject[match[1]] = byProject[match[1]] || [];
+    byProject[match[1]].push({ name: volume.Name, size: volume.Size });
+  }
+  return byProject;
+}
+
+/**
+ * Parse a size as printed by Docker (decimal units, e.g. "210.5MB")
+ * @param {string} size - Size string
+ * @returns {number} Bytes
+ */
+function parseDockerSize(size) {
+  const match = /^([\d.]+)\s*([kKMGT]?B)$/.exec(size || '');
+  if (!match) return 0;
+  const units = { B: 1, kB: 1e3, KB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12 };
+  return parseFloat(match[1]) * units[match[2]];
+}
+
+/**
+ * Format bytes the way Docker does
+ * @param {number} bytes - Bytes
+ * @returns {string} e.g. "1.2GB"
+ */
+function formatDockerSize(bytes) {
+  if (bytes < 1e3) return `${bytes}B`;
+  if (bytes < 1e6) return `${(bytes / 1e3).toFixed(1)}kB`;
+  if (bytes < 1e9) return `${(bytes / 1e6).toFixed(1)}MB`;
+  return `${(bytes / 1e9).toFixed(2)}GB`;
+}
+
+/**
+ * Print the project table
+ * @param {object[]} projects - Projects with state and volume info
+ * @param {object[]} pruned - Registry entries removed because their directory is gone
+ * @param {boolean} docker - Whether Docker is running
+ */
+function printProjects(projects, pruned, docker) {
+  console.log(chalk.blue('📋 buwp-local projects\n'));
+
+  if (pruned.length > 0) {
+    pruned.forEach(project => {
+      console.log(chalk.gray(`Removed ${project.projectName} from the registry (${project.path} no longer exists)`));
+    });
+    console.log('');
+  }
+
+  if (projects.length === 0) {
+    console.log(chalk.gray('No projects registered yet. Projects are added when you run "buwp-local start".\n'));
+    return;
+  }
+
+  if (!docker) {
+    console.log(chalk.yellow('⚠️  Docker is not running, container state and volumes unavailable.\n'));
+  }
+
+  const headers = ['PROJECT', 'STATE', 'HOSTNAME', 'VOLUMES', 'LAST START', 'PATH'];
+  const rows = projects.map(project => [
+    project.projectName,
+    project.state,
+    project.hostname,
+    project.volumeSize || '-',
+    project.lastStarted ? new Date(project.lastStarted).toLocaleString() : '-',
+    project.path
+  ]);
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+  const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(chalk.gray(formatRow(headers)));
+  rows.forEach((row, i) => {
+    const state = projects[i].state;
+    const color = state === 'running' ? chalk.green : state.startsWith('partial') ? chalk.yellow : chalk.white;
+    console.log(color(formatRow(row)));
+  });
+
+  console.log(chalk.gray(`\nRegistry: ${REGISTRY_PATH}\n`));
+}
+
+export default listCommand;
@@ -0,0 +1,293 @@
+/**
+ * Mappings command - Add, remove and list volume mappings
+ */
+
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import prompts from 'prompts';
+import { loadConfig, loadConfigLayers, updateConfigFile } from '../config.js';
+import { getComposeContainers } from '../docker.js';
+import {
+  suggestContainerPath,
+  detectMappingType,
+  findMappingConflicts,
+  findMappingIndexes,
+  formatLocalPath,
+  normalizeContainerPath,
+  getMappingsFileName
+} from '../mappings.js';
+import startCommand from './start.js';
+
+async function mappingsCommand(subcommand, args, options) {
+  try {
+    switch (subcommand) {
+      case 'add':
+        await addCommand(args, options);
+        break;
+      case 'remove':
+        await removeCommand(args, options);
+        break;
+      case 'list':
+        listCommand(options);
+        break;
+      default:
+        showHelp();
+    }
+  } catch (err) {
+    console.error(chalk.red('\n❌ Error:'), err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolve the current project
+ * @returns {object} { config, projectPath, composePath, projectName }
+ */
+function getProject() {
+  const projectPath = process.cwd();
+  const config = loadConfig(projectPath);
+  return {
+    config,
+    projectPath,
+    composePath: path.join(projectPath, '.buwp-local', 'docker-compose.yml'),
+    projectName: config.projectName || 'buwp-local'
+  };
+}
+
+/**
+ * Check if the project's WordPress container is running
+ * @param {object} project - Project from getProject()
+ * @returns {boolean}
+ */
+function isWordPressRunning(project) {
+  if (!fs.existsSync(project.composePath)) {
+    return false;
+  }
+
+  try {
+    const wordpress = getComposeContainers(project.projectName, project.composePath)
+      .find(container => container.Service === 'wordpress');
+    return Boolean(wordpress && wordpress.State === 'running');
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Offer to restart the running environment so the changed mappings take effect
+ * @param {object} project - { projectPath, composePath, projectName }
+ * @param {object} options - { apply } (true: apply without asking, false: don't offer)
+ */
+export async function offerApply(project, options) {
+  if (!isWordPressRunning(project)) {
+    console.log(chalk.gray('The change takes effect on the next "buwp-local start".\n'));
+    return;
+  }
+
+  let apply = options.apply;
+  if (apply === undefined && process.stdin.isTTY) {
+    ({ apply } = await prompts({
+      type: 'confirm',
+      name: 'apply',
+      message: 'Apply to the running environment now? (recreates the WordPress container)',
+      initial: true
+    }));
+  }
+
+  if (!apply) {
+    console.log(chalk.gray('Run "buwp-local start" to apply the change.\n'));
+    return;
+  }
+
+  console.log('');
+  await startCommand({});
+}
+
+/**
+ * Add a mapping
+ * @param {string[]} args - [local, container?]
+ * @param {object} options - Command options
+ */
+async function addCommand(args, options) {
+  const [localArg, containerArg] = args;
+  if (!localArg) {
+    throw new Error('Usage: buwp-local mappings add <local> [container]');
+  }
+
+  const project = getProject();
+  const localPath = path.resolve(project.projectPath, localArg);
+  if (!fs.existsSync(localPath)) {
+    throw new Error(`Local path does not exist: ${localPath}`);
+  }
+
+  let container = containerArg;
+  if (!container) {
+    const suggestion = suggestContainerPath(localPath);
+
+    if (suggestion.type) {
+      console.log(chalk.cyan(`ℹ️  Detected ${suggestion.type}: ${path.basename(localPath)}\n`));
+    }
+
+    if (process.stdin.isTTY) {
+      ({ container } = await prompts({
+        type: 'text',
+        name: 'container',
+        message: 'Container path',
+        initial: suggestion.container || '/var/www/html/wp-content/plugins/' + path.basename(localPath),
+        validate: value => value.startsWith('/') || 'Container path must be absolute'
+      }, {
+        onCancel: () => {
+          console.log(chalk.gray('\nCancelled.\n'));
+          process.exit(0);
+        }
+      }));
+    } else if (suggestion.container) {
+      container = suggestion.container;
+    } else {
+      throw new Error(`Could not detect a plugin, theme or mu-plugin in ${localPath}. Pass the container path: buwp-local mappings add ${localArg} <container>`);
+    }
+  }
+
+  container = normalizeContainerPath(container);
+  const problems = findMappingConflicts(project.config.mappings, container);
+  const blocking = problems.filter(problem => problem.kind !== 'core' || !options.force);
+
+  problems.filter(problem => !blocking.includes(problem)).forEach(problem => {
+    console.log(chalk.yellow(`⚠️  ${problem.message}`));
+  });
+
+  if (blocking.length > 0) {
+    console.log(chalk.red('❌ Cannot add this mapping:'));
+    blocking.forEach(problem => console.log(chalk.red(`  - ${problem.message}`)));
+    if (blocking.every(problem => problem.kind === 'core')) {
+      console.log(chalk.gray('\nUse --force to map it anyway (e.g. a full WordPress build, see docs/VOLUME_MAPPINGS.md Pattern C).'));
+    }
+    console.log('');
+    process.exit(1);
+  }
+
+  const mapping = { local: formatLocalPath(localPath, project.projectPath), container };
+  if (options.comment) {
+    mapping.comment = options.comment;
+  }
+
+  const fileName = getMappingsFileName(project.projectPath);
+  updateConfigFile(project.projectPath, data => ({
+    ...data,
+    mappings: [...(Array.isArray(data.mappings) ? data.mappings : []), mapping]
+  }), fileName);
+
+  console.log(chalk.green(`✓ Added mapping to ${fileName}:`));
+  console.log(chalk.white(`  ${mapping.local}`) + chalk.gray(` → ${mapping.container}\n`));
+
+  await offerApply(project, options);
+}
+
+/**
+ * Remove mappings by local or container path
+ * @param {string[]} args - Local or container paths
+ * @param {object} options - Command options
+ */
+async function removeCommand(args, options) {
+  if (args.length === 0) {
+    throw new Error('Usage: buwp-local mappings remove <local|container...>');
+  }
+
+  const project = getProject();
+  const fileName = getMappingsFileName(project.projectPath);
+  const fileMappings = loadConfigLayers(project.projectPath)
+    .find(layer => layer.label === fileName).data.mappings || [];
+
+  const indexes = new Set(args.flatMap(arg => findMappingIndexes(fileMappings, arg, project.projectPath)));
+  const unmatched = args.filter(arg => findMappingIndexes(fileMappings, arg, project.projectPath).length === 0);
+
+  unmatched.forEach(arg => console.log(chalk.yellow(`⚠️  No mapping for ${arg} in ${fileName}`)));
+
+  if (indexes.size === 0) {
+    console.log(chalk.gray('\nRun "buwp-local mappings list" to see the current mappings.\n'));
+    process.exit(1);
+  }
+
+  const removed = fileMappings.filter((mapping, index) => indexes.has(index));
+  updateConfigFile(project.projectPath, data => ({
+    ...data,
+    mappings: (data.mappings || []).filter((mapping, index) => !indexes.has(index))
+  }), fileName);
+
+  console.log(chalk.green(`✓ Removed from ${fileName}:`));
+  removed.forEach(mapping => {
+    console.log(chalk.white(`  ${mapping.local}`) + chalk.gray(` → ${mapping.container}`));
+  });
+  console.log('');
+
+  await offerApply(project, options);
+}
+
+/**
+ * List the resolved mappings
+ * @param {object} options - Command options
+ */
+function listCommand(options) {
+  const project = getProject();
+  const fileName = getMappingsFileName(project.projectPath);
+
+  const mappings = (project.config.mappings || []).map(mapping => {
+    const localPath = path.resolve(project.projectPath, mapping.local);
+    const exists = fs.existsSync(localPath);
+    return {
+      ...mapping,
+      path: localPath,
+      exists,
+      type: exists ? detectMappingType(localPath) : null
+    };
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(mappings, null, 2));
+    return;
+  }
+
+  console.log(chalk.blue(`📂 Volume mappings (${fileName})\n`));
+
+  if (mappings.length === 0) {
+    console.log(chalk.gray('No mappings. Add one with: buwp-local mappings add <local> [container]\n'));
+    return;
+  }
+
+  mappings.forEach(mapping => {
+    const type = mapping.type ? chalk.gray(` (${mapping.type})`) : '';
+    console.log(`  ${chalk.white(mapping.container)}${type}`);
+    console.log(`    ${mapping.exists ? chalk.gray(`← ${mapping.local}`) : chalk.red(`← ${mapping.local} (missing)`)}`);
+    if (mapping.comment) {
+      console.log(chalk.gray(`    ${mapping.comment}`));
+    }
+  });
+  console.log('');
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  console.log(chalk.blue('📂 Mappings Command\n'));
+  console.log('Manage the local code mounted into the WordPress container.\n');
+  console.log(chalk.cyan('Usage:'));
+  console.log('  buwp-local mappings <subcommand> [args] [options]\n');
+  console.log(chalk.cyan('Subcommands:'));
+  console.log('  add <local> [container]        Map a local plugin, theme or mu-plugin (container path is suggested)');
+  console.log('  remove <local|container...>    Remove mappings by local or container path');
+  console.log('  list                           Show mappings, what they contain and missing local paths\n');
+  console.log(chalk.cyan('Options:'));
+  console.log('  --comment <text>   Add: note stored with the mapping');
+  console.log('  -f, --force        Add: allow targets that hide WordPress core or all plugins/themes');
+  console.log('  --apply            Apply to a running environment without asking');
+  console.log('  --no-apply         Don\'t offer to apply to a running environment');
+  console.log('  --json             List: output as JSON\n');
+  console.log(chalk.cyan('Examples:'));
+  console.log('  buwp-local mappings add ../bu-navigation');
+  console.log('  buwp-local mappings add ./my-theme /var/www/html/wp-content/themes/my-theme');
+  console.log('  buwp-local mappings remove ../bu-navigation\n');
+}
+
+export default mappingsCommand;
@@ -1,5 +1,5 @@
 /**
- * Shell command - Open an interactive bash shell in the WordPress container
+ * Shell command - Open a shell, or run a command, in one of the project's containers
  */
 
 import chalk from 'chalk';
@@ -7,9 +7,17 @@ import { spawnSync } from 'child_process';
 import path from 'path';
 import fs from 'fs';
 import { loadConfig } from '../config.js';
+import { findContainerPath } from '../mappings.js';
+import { isDockerRunning, readComposeServices } from '../docker.js';
 
-async function shellCommand(_options) {
-  console.log(chalk.blue('🐚 Opening interactive shell...\n'));
+/**
+ * Start bash where the image has it, sh otherwise (redis and s3proxy are Alpine-based)
+ */
+const INTERACTIVE_SHELL = 'if command -v bash >/dev/null 2>&1; then exec bash; else exec sh; fi';
+
+async function shellCommand(options = {}) {
+  // With -c the output belongs to the command, so status messages go to stderr
+  const log = options.command ? console.error : console.log;
 
   try {
     const projectPath = process.cwd();
@@ -17,8 +25,11 @@ async function shellCommand(_options) {
 
     // Check if docker-compose.yml exists
     if (!fs.existsSync(composePath)) {
-      console.log(chalk.yellow('⚠️  No running environment found.'));
-      console.log(chalk.gray('Run "buwp-local start" to create an environment.\n'));
+      log(chalk.yellow('⚠️  No running environment found.'));
+      log(chalk.gray('Run "buwp-local start" to create an environment.\n'));
+      if (options.command) {
+        process.exit(1);
+      }
       return;
     }
 
@@ -26,40 +37,65 @@ async function shellCommand(_options) {
     const config = loadConfig(projectPath);
     const projectName = config.projectName || 'buwp-local';
 
+    const service = options.service || 'wordpress';
+    const services = readComposeServices(composePath);
+    if (!services.includes(service)) {
+      throw new Error(`Unknown service "${service}" (this project has: ${services.join(', ')})`);
+    }
+
+    // Start where the current directory is mounted, e.g. in the plugin being developed
+    const workdir = options.workdir ||
+      (service === 'wordpress' ? findContainerPath(config.mappings, projectPath, projectPath) : null);
+
     // Check if Docker is running
-    try {
-      spawnSync('docker', ['info'], { stdio: 'ignore' });
-    } catch (err) {
+    if (!isDockerRunning()) {
       console.error(chalk.red('❌ Docker is not running.'));
       process.exit(1);
     }
 
-    // Build docker compose exec command for interactive shell
-    const composeDir = path.dirname(composePath);
-    
+    // Without a terminal (pipes, CI), -T disables the pseudo-TTY
+    const tty = Boolean(process.stdin.isTTY && process.stdout.isTTY);
+    const args = [
+      'compose',
+      '-p', projectName,
+      '-f', composePath,
+      'exec',
+      ...(tty ? [] : ['-T']),
+      ...(options.user ? ['--user', options.user] : []),
+      ...(workdir ? ['--workdir', workdir] : []),
+      service,
+      'sh', '-c', options.command || INTERACTIVE_SHELL
+    ];
+
+    if (!options.command) {
+      const details = [options.user && `as ${options.user}`, workdir && `in ${workdir}`].filter(Boolean);
+      log(chalk.blue(`🐚 Opening shell in ${service}${details.length > 0 ? ` (${details.join(', ')})` : ''}...\n`));
+    }
+
     // Use spawnSync instead of execSync for proper TTY handling
-    const result = spawnSync(
-      'docker',
-      [
-        'compose',
-        '-p', projectName,
-        '-f', composePath,
-        'exec',
-        'wordpress',
-        '/bin/bash'
-      ],
-      {
-        cwd: composeDir,
-        stdio: 'inherit',
-        shell: false
+    const result = spawnSync('docker', args, {
+      cwd: path.dirname(composePath),
+      stdio: 'inherit',
+      shell: false
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to run docker: ${result.error.message}`);
+    }
+
+    // One-shot commands pass their exit code on, so scripts can check it
+    if (options.command) {
+      if (result.status !== 0) {
+        process.exit(result.status ?? 1);
       }
-    );
+      return;
+    }
 
     // Only show exit message if shell exited with error
     if (result.status !== 0 && result.status !== null) {
-      console.log(chalk.yellow(`\n⚠️  Shell exited with code ${result.status}\n`));
+      log(chalk.yellow(`\n⚠️  Shell exited with code ${result.status}\n`));
     } else {
-      console.log(chalk.gray('\n👋 Shell closed.\n'));
+      log(chalk.gray('\n👋 Shell closed.\n'));
     }
 
   } catch (err) {
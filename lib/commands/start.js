@@ -7,9 +7,17 @@ import { execSync } from 'child_process';
 import path from 'path';
 import fs from 'fs';
 import prompts from 'prompts';
-import { loadConfig, validateConfig, ENV_FILE_NAME, loadKeychainCredentials, createSecureTempEnvFile, secureDeleteTempEnvFile } from '../config.js';
+import { loadConfig, loadConfigLayers, validateConfig, updateConfigFile, LOCAL_CONFIG_FILE_NAME, ENV_FILE_NAME, loadKeychainCredentials, createSecureTempEnvFile, secureDeleteTempEnvFile } from '../config.js';
 import { generateComposeFile } from '../compose-generator.js';
-import keychainCommand from './keychain.js';
+import { caExists, certificateExists, getCertificateInfo, isCertificateCurrent, issueCertificate } from '../certs.js';
+import { registerProject } from '../registry.js';
+import { checkHostsFile } from '../hosts.js';
+import { findPortConflicts, findFreePorts, describePortHolder } from '../ports.js';
+import { waitForReady, getServiceStates, DEFAULT_READY_TIMEOUT_SECONDS } from '../readiness.js';
+import { getServiceLogs } from '../docker.js';
+import { readXdebugState, writeXdebugState, applyXdebugState, DEFAULT_XDEBUG_MODES } from '../xdebug.js';
+import keychainCommand, { unlockCredentialStore } from './keychain.js';
+import { addProjectHosts } from './hosts.js';
 
 /**
  * Required credentials that must be present for WordPress to function
@@ -19,40 +27,6 @@ const REQUIRED_CREDENTIALS = [
   'DB_ROOT_PASSWORD'
 ];
 
-/**
- * Check if hostname exists in /etc/hosts
- * @param {string} hostname - Hostname to check
- * @returns {object} { found: boolean, error?: string }
- */
-function checkHostsFile(hostname) {
-  try {
-    const hostsPath = '/etc/hosts';
-    const content = fs.readFileSync(hostsPath, 'utf8');
-    const lines = content.split('\n');
-    
-    // Check each line for hostname
-    for (const line of lines) {
-      // Skip comments and empty lines
-      if (line.trim().startsWith('#') || !line.trim()) continue;
-      
-      // Parse: "127.0.0.1 hostname.local" or "127.0.0.1\thostname.local"
-      const parts = line.trim().split(/\s+/);
-      if (parts.length >= 2) {
-        // Check if hostname appears in any position after IP
-        const hostnames = parts.slice(1);
-        if (hostnames.includes(hostname)) {
-          return { found: true };
-        }
-      }
-    }
-    
-    return { found: false };
-  } catch (error) {
-    // /etc/hosts not readable (unlikely on macOS)
-    return { found: false, error: error.message };
-  }
-}
-
 /**
  * Check if we've already shown the hosts warning for this project
  * @param {string} projectPath - Project directory path
@@ -121,7 +95,7 @@ async function promptCredentialSetup(missingCreds) {
   console.log('');
   
   console.log(chalk.cyan('You can set up credentials in two ways:\n'));
-  console.log(chalk.white('  1. Use macOS Keychain (recommended):'));
+  console.log(chalk.white('  1. Use the system keychain (recommended, macOS Keychain or Linux secret-tool):'));
   console.log(chalk.gray('     npx buwp-local keychain setup\n'));
   console.log(chalk.white('  2. Create .env.local file in your project:'));
   console.log(chalk.gray('     cp .env.local.example .env.local'));
@@ -165,6 +139,87 @@ async function checkImageAccess(imageName) {
   }
 }
 
+/**
+ * Check the ports the project will publish and offer free alternatives
+ * Runs before the slower credential and image checks so a busy port fails fast.
+ * @param {object} config - Resolved configuration (ports are updated in place)
+ * @param {string} projectPath - Project directory path
+ */
+async function resolvePortConflicts(config, projectPath) {
+  console.log(chalk.gray('Checking ports...'));
+  const conflicts = await findPortConflicts(config);
+
+  if (conflicts.length === 0) {
+    console.log(chalk.green('✓ Ports available\n'));
+    return;
+  }
+
+  console.log(chalk.yellow('\n⚠️  Ports already in use:\n'));
+  conflicts.forEach(({ service, port, host, holder }) => {
+    const where = host === '0.0.0.0' ? 'all interfaces' : host;
+    console.log(chalk.yellow(`  - ${service}: ${port} on ${where} is used by ${describePortHolder(holder)}`));
+  });
+  console.log('');
+
+  const replacements = await findFreePorts(config, conflicts, projectPath);
+  Object.entries(replacements).forEach(([service, port]) => {
+    console.log(chalk.cyan(`  ${service}: ${config.ports[service]} → ${port}`));
+  });
+  console.log('');
+
+  const { useFreePorts } = await prompts({
+    type: 'confirm',
+    name: 'useFreePorts',
+    message: `Use these ports and save them to ${LOCAL_CONFIG_FILE_NAME}?`,
+    initial: true
+  });
+
+  if (!useFreePorts) {
+    console.log(chalk.gray(`\nStart cancelled. Free the ports above or change "ports" in ${LOCAL_CONFIG_FILE_NAME}.\n`));
+    process.exit(1);
+  }
+
+  // Personal overrides file, so the committed team config stays untouched
+  updateConfigFile(projectPath, localConfig => ({
+    ...localConfig,
+    ports: { ...localConfig.ports, ...replacements }
+  }), LOCAL_CONFIG_FILE_NAME);
+  Object.assign(config.ports, replacements);
+  console.log(chalk.green(`✓ Saved new ports to ${LOCAL_CONFIG_FILE_NAME}\n`));
+}
+
+/**
+ * Print recent logs for a service
+ * @param {string} projectName - Docker Compose project name
+ * @param {string} composePath - Generated compose file
+ * @param {string} service - Service name
+ */
+function printServiceLogs(projectName, composePath, service) {
+  const logs = getServiceLogs(projectName, composePath, service).trim();
+  console.log(chalk.yellow(`\n--- ${service} (last 50 lines) ---`));
+  console.log(logs || chalk.gray('(no output)'));
+  console.log('');
+}
+
+/**
+ * Print logs for every service that is not running or not healthy
+ * Used when "docker compose up" itself fails, e.g. a dependency never became healthy.
+ * @param {string} projectName - Docker Compose project name
+ * @param {string} composePath - Generated compose file
+ */
+function printUnreadyServiceLogs(projectName, composePath) {
+  let states = {};
+  try {
+    states = getServiceStates(projectName, composePath);
+  } catch (err) {
+    return;
+  }
+
+  Object.entries(states)
+    .filter(([, state]) => state !== 'ready')
+    .forEach(([service]) => printServiceLogs(projectName, composePath, service));
+}
+
 async function startCommand(options) {
   console.log(chalk.blue('🚀 Starting BU WordPress local environment...\n'));
 
@@ -189,7 +244,7 @@ async function startCommand(options) {
 
     // Validate configuration
     console.log(chalk.gray('Validating configuration...'));
-    const validation = validateConfig(config);
+    const validation = validateConfig(config, loadConfigLayers(projectPath));
     
     if (!validation.valid) {
       console.error(chalk.red('\n❌ Configuration validation failed:'));
@@ -199,9 +254,13 @@ async function startCommand(options) {
       process.exit(1);
     }
 
+    // Check for port conflicts before anything slow runs
+    await resolvePortConflicts(config, projectPath);
+
     // Load and validate credentials early
     const envFilePath = path.join(projectPath, ENV_FILE_NAME);
-    const keychainCredentials = loadKeychainCredentials();
+    await unlockCredentialStore(config);
+    const keychainCredentials = loadKeychainCredentials(config);
     const credentialValidation = validateCredentials(keychainCredentials, envFilePath);
     
     if (!credentialValidation.isValid) {
@@ -213,7 +272,7 @@ async function startCommand(options) {
         await keychainCommand('setup', [], {});
         
         // Reload credentials after setup
-        const reloadedCreds = loadKeychainCredentials();
+        const reloadedCreds = loadKeychainCredentials(config);
         const revalidation = validateCredentials(reloadedCreds, envFilePath);
         
         if (!revalidation.isValid) {
@@ -244,8 +303,19 @@ async function startCommand(options) {
 
     console.log(chalk.green('✓ Container image accessible\n'));
 
-    // Check /etc/hosts for hostname entry
-    if (!hasShownHostsWarning(projectPath)) {
+    // Add the hostname to /etc/hosts when the project opts in, otherwise check for it
+    if (config.autoManageHosts) {
+      try {
+        addProjectHosts({
+          config,
+          composePath: path.join(projectPath, '.buwp-local', 'docker-compose.yml'),
+          projectName: config.projectName
+        });
+      } catch (err) {
+        console.log(chalk.yellow(`⚠️  Could not update /etc/hosts: ${err.message}`));
+        console.log(chalk.gray(`Add it later with "buwp-local hosts add".\n`));
+      }
+    } else if (!hasShownHostsWarning(projectPath)) {
       const hostsCheck = checkHostsFile(config.hostname);
       
       if (!hostsCheck.found) {
@@ -253,8 +323,9 @@ async function startCommand(options) {
         console.log(`Your site won't be accessible at ${chalk.cyan(`http://${config.hostname}`)}`);
         console.log('until you add this entry:\n');
         console.log(chalk.green(`  127.0.0.1 ${config.hostname}\n`));
-        console.log('Run this command to add it (copy and paste, and then enter your password):\n');
-        console.log(chalk.cyan(`  echo "127.0.0.1 ${config.hostname}" | sudo tee -a /etc/hosts\n`));
+        console.log('Run this command to add it (you may be asked for your password):\n');
+        console.log(chalk.cyan('  npx buwp-local hosts add\n'));
+        console.log(chalk.gray('Or set "autoManageHosts": true in .buwp-local.json to have start do it.\n'));
         
         const { continueStart } = await prompts({
           type: 'confirm',
@@ -273,6 +344,13 @@ async function startCommand(options) {
       }
     }
 
+    // Keep the HTTPS certificate valid for this hostname once a local CA exists
+    if (caExists() && !isCertificateCurrent(config.hostname)) {
+      const previous = getCertificateInfo(config.hostname);
+      issueCertificate(config.hostname, previous ? previous.names : []);
+      console.log(chalk.green(`✓ Issued HTTPS certificate for ${config.hostname}\n`));
+    }
+
     // Generate docker-compose.yml
     console.log(chalk.gray('Generating docker-compose.yml...'));
     const composePath = generateComposeFile(config, projectPath);
@@ -293,7 +371,7 @@ async function startCommand(options) {
     
     // Load keychain credentials and create secure temp env file if available
     let tempEnvPath = null;
-    const finalKeychainCredentials = loadKeychainCredentials();
+    const finalKeychainCredentials = loadKeychainCredentials(config);
     const keychainCredCount = Object.keys(finalKeychainCredentials).length;
     
     if (keychainCredCount > 0) {
@@ -321,6 +399,7 @@ async function startCommand(options) {
       );
     } catch (err) {
       console.error(chalk.red('\n❌ Failed to start Docker containers'));
+      printUnreadyServiceLogs(projectName, composePath);
       process.exit(1);
     } finally {
       // Always clean up temp env file, even if Docker Compose failed
@@ -329,11 +408,68 @@ async function startCommand(options) {
       }
     }
 
+    // Keep Xdebug as "buwp-local xdebug on|off" last left it; --xdebug turns it on
+    let xdebugState = readXdebugState(projectPath);
+    if (options.xdebug && xdebugState) {
+      xdebugState = writeXdebugState(projectPath, { enabled: true, modes: xdebugState.modes || DEFAULT_XDEBUG_MODES });
+    }
+    if (xdebugState) {
+      try {
+        applyXdebugState(projectName, composePath, xdebugState);
+        console.log(chalk.gray(`✓ Xdebug ${xdebugState.enabled ? `on (${xdebugState.modes.join(', ')})` : 'off'}\n`));
+      } catch (err) {
+        console.log(chalk.yellow(`⚠️  Could not apply Xdebug setting: ${err.message}\n`));
+      }
+    }
+
+    // Record the project for "buwp-local list"
+    try {
+      registerProject(projectPath, config);
+    } catch (err) {
+      console.log(chalk.yellow(`⚠️  Could not update project registry: ${err.message}`));
+    }
+
+    // Wait until containers are healthy and the site answers
+    if (options.wait !== false) {
+      const timeout = options.timeout ? parseInt(options.timeout, 10) : DEFAULT_READY_TIMEOUT_SECONDS;
+      if (!Number.isInteger(timeout) || timeout < 1) {
+        console.error(chalk.red(`\n❌ Invalid --timeout: ${options.timeout}`));
+        process.exit(1);
+      }
+
+      console.log(chalk.gray('\nWaiting for the environment to become ready...'));
+      const readiness = await waitForReady({ projectName, composePath, config }, timeout);
+
+      if (!readiness.ready) {
+        console.error(chalk.red(`\n❌ Environment not ready after ${timeout}s: ${readiness.failing.join(', ')}`));
+        readiness.failing.forEach(service => printServiceLogs(projectName, composePath, service));
+        console.log(chalk.gray('Containers are still running. Check "buwp-local status" or "buwp-local logs -f",'));
+        console.log(chalk.gray('or start again with a longer --timeout.\n'));
+        process.exit(1);
+      }
+
+      console.log(chalk.green('✓ All services healthy and site responding'));
+    }
+
     // Success message
     console.log(chalk.green('\n✅ Environment started successfully!\n'));
     console.log(chalk.cyan(`Project: ${projectName}`));
     console.log(chalk.cyan('Access your site at:'));
     console.log(chalk.white(`  https://${config.hostname}\n`));
+
+    if (!certificateExists(config.hostname)) {
+      console.log(chalk.gray('The site uses a self-signed certificate. Run "buwp-local cert create" for a trusted one.\n'));
+    }
+
+    if (config.services.mail) {
+      console.log(chalk.cyan('Outgoing email is caught by Mailpit:'));
+      console.log(chalk.white(`  http://localhost:${config.ports.mail}\n`));
+    }
+
+    if (config.services.dbadmin) {
+      console.log(chalk.cyan(`Database admin (${config.services.dbadmin === 'adminer' ? 'Adminer' : 'phpMyAdmin'}):`));
+      console.log(chalk.white(`  http://localhost:${config.ports.dbadmin}\n`));
+    }
     
     console.log(chalk.gray('Useful commands:'));
     console.log(chalk.white('  buwp-local logs    - View logs'));
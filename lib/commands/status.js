@@ -0,0 +1,285 @@
+/**
+ * Status command - Shows the live state of the current project
+ */
+
+import chalk from 'chalk';
+import { execSync } from 'child_process';
+import path from 'path';
+import fs from 'fs';
+import { loadConfig, loadConfigLayers } from '../config.js';
+import { COMPOSE_OVERRIDE_FILE_NAME } from '../compose-generator.js';
+import { checkHostsFile } from '../hosts.js';
+import { isDockerRunning, getComposeContainers, readComposeServices } from '../docker.js';
+
+async function statusCommand(options) {
+  try {
+    const status = getProjectStatus(process.cwd());
+
+    if (options.json) {
+      console.log(JSON.stringify(status, null, 2));
+      return;
+    }
+
+    printStatus(status);
+  } catch (err) {
+    console.error(chalk.red('\n❌ Error:'), err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Collect the status of a project directory
+ * @param {string} projectPath - Project directory
+ * @returns {object} Status report (also the --json output)
+ */
+function getProjectStatus(projectPath) {
+  const config = loadConfig(projectPath);
+  const projectName = config.projectName || 'buwp-local';
+  const composePath = path.join(projectPath, '.buwp-local', 'docker-compose.yml');
+  const composeExists = fs.existsSync(composePath);
+
+  const status = {
+    project: projectName,
+    projectPath,
+    url: getSiteUrl(config),
+    mailUrl: config.services?.mail ? `http://localhost:${config.ports.mail}` : null,
+    dbAdminUrl: config.services?.dbadmin ? `http://localhost:${config.ports.dbadmin}` : null,
+    hostname: config.hostname,
+    hostsEntry: checkHostsFile(config.hostname).found,
+    compose: {
+      path: composePath,
+      exists: composeExists,
+      stale: composeExists ? isComposeStale(projectPath, composePath) : null
+    },
+    docker: isDockerRunning(),
+    services: []
+  };
+
+  if (!composeExists) {
+    return status;
+  }
+
+  const serviceNames = readComposeServices(composePath);
+  const containers = status.docker ? getContainers(projectName, composePath) : {};
+
+  status.services = serviceNames.map(service => {
+    const container = containers[service];
+    if (!container) {
+      return {
+        service,
+        container: null,
+        state: status.docker ? 'not created' : 'unknown',
+        health: null,
+        startedAt: null,
+        uptime: null,
+        ports: [],
+        image: null,
+        digest: null
+      };
+    }
+    return { service, ...container };
+  });
+
+  return status;
+}
+
+/**
+ * Build the site URL, including the port when it is not the default
+ * @param {object} config - Resolved configuration
+ * @returns {string} URL
+ */
+function getSiteUrl(config) {
+  const httpsPort = config.ports?.https;
+  const port = httpsPort && httpsPort !== 443 ? `:${httpsPort}` : '';
+  return `https://${config.hostname}${port}`;
+}
+
+/**
+ * Check if the generated compose file is older than any configuration file
+ * @param {string} projectPath - Project directory
+ * @param {string} composePath - Generated compose file
+ * @returns {boolean|null} True if stale, null if there is no config file to compare against
+ */
+function isComposeStale(projectPath, composePath) {
+  const configPaths = [
+    ...loadConfigLayers(projectPath).map(layer => layer.path),
+    path.join(projectPath, COMPOSE_OVERRIDE_FILE_NAME)
+  ].filter(configPath => configPath && fs.existsSync(configPath));
+
+  if (configPaths.length === 0) {
+    return null;
+  }
+
+  const composeTime = fs.statSync(composePath).mtimeMs;
+  return configPaths.some(configPath => fs.statSync(configPath).mtimeMs > composeTime);
+}
+
+/**
+ * Get container details for each compose service
+ * @param {string} projectName - Docker Compose project name
+ * @param {string} composePath - Generated compose file
+ * @returns {object} Map of service name to container details
+ */
+function getContainers(projectName, composePath) {
+  const entries = getComposeContainers(projectName, composePath);
+  if (entries.length === 0) {
+    return {};
+  }
+
+  const inspected = inspect('docker inspect', entries.map(entry => entry.ID || entry.Name));
+  const imageIds = [...new Set(inspected.map(container => container.Image))];
+  const digests = {};
+  for (const image of inspect('docker image inspect', imageIds)) {
+    digests[image.Id] = getDigest(image);
+  }
+
+  const containers = {};
+  for (const entry of entries) {
+    const details = inspected.find(container => container.Name === `/${entry.Name}`) || {};
+    const state = details.State || {};
+    const running = state.Status === 'running';
+
+    containers[entry.Service] = {
+      container: entry.Name,
+      state: state.Status || entry.State,
+      health: state.Health?.Status || entry.Health || null,
+      startedAt: running ? state.StartedAt : null,
+      uptime: running ? formatDuration(Date.now() - Date.parse(state.StartedAt)) : null,
+      ports: getPublishedPorts(entry.Publishers),
+      image: details.Config?.Image || entry.Image,
+      digest: digests[details.Image] || details.Image || null
+    };
+  }
+  return containers;
+}
+
+/**
+ * Run a docker inspect command for several objects
+ * @param {string} command - "docker inspect" or "docker image inspect"
+ * @param {string[]} ids - Object IDs or names
+ * @returns {object[]} Parsed inspect output
+ */
+function inspect(command, ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+  try {
+    const output = execSync(`${command} ${ids.join(' ')}`, {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+    return JSON.parse(output);
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Get the registry digest of an image, falling back to its local ID
+ * @param {object} image - docker image inspect entry
+ * @returns {string} Digest (sha256:...)
+ */
+function getDigest(image) {
+  const repoDigest = (image.RepoDigests || [])[0];
+  return repoDigest ? repoDigest.split('@')[1] : image.Id;
+}
+
+/**
+ * Normalize published ports, skipping unpublished and duplicate IPv6 entries
+ * @param {object[]} publishers - Publishers from docker compose ps
+ * @returns {object[]} [{ host, hostPort, containerPort, protocol }]
+ */
+function getPublishedPorts(publishers = []) {
+  const ports = [];
+  for (const publisher of publishers || []) {
+    if (!publisher.PublishedPort) continue;
+    if (ports.some(port => port.hostPort === publisher.PublishedPort && port.protocol === publisher.Protocol)) continue;
+    ports.push({
+      host: publisher.URL || '0.0.0.0',
+      hostPort: publisher.PublishedPort,
+      containerPort: publisher.TargetPort,
+      protocol: publisher.Protocol
+    });
+  }
+  return ports;
+}
+
+/**
+ * Format a duration in milliseconds for display
+ * @param {number} ms - Duration
+ * @returns {string} e.g. "3d 4h", "2h 5m", "45s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${seconds}s`;
+}
+
+/**
+ * Print the status report
+ * @param {object} status - Status from getProjectStatus()
+ */
+function printStatus(status) {
+  console.log(chalk.blue(`📊 Status: ${status.project}\n`));
+
+  console.log(`${chalk.cyan('Site:'.padEnd(10))}${status.url}`);
+  if (status.mailUrl) {
+    console.log(`${chalk.cyan('Mail:'.padEnd(10))}${status.mailUrl}`);
+  }
+  if (status.dbAdminUrl) {
+    console.log(`${chalk.cyan('DB admin:'.padEnd(10))}${status.dbAdminUrl}`);
+  }
+
+  if (status.hostsEntry) {
+    console.log(`${chalk.cyan('Hosts:'.padEnd(10))}${chalk.green('✓')} ${status.hostname} is in /etc/hosts`);
+  } else {
+    console.log(`${chalk.cyan('Hosts:'.padEnd(10))}${chalk.yellow('⚠️')}  ${status.hostname} is missing from /etc/hosts`);
+  }
+
+  if (!status.compose.exists) {
+    console.log(`${chalk.cyan('Compose:'.padEnd(10))}${chalk.gray('not generated yet')}`);
+    console.log(chalk.gray('\nRun "buwp-local start" to create an environment.\n'));
+    return;
+  }
+
+  if (status.compose.stale === null) {
+    console.log(`${chalk.cyan('Compose:'.padEnd(10))}${chalk.gray('generated (no configuration file to compare against)')}`);
+  } else if (status.compose.stale) {
+    console.log(`${chalk.cyan('Compose:'.padEnd(10))}${chalk.yellow('⚠️')}  older than the configuration (run "buwp-local start" to apply changes)`);
+  } else {
+    console.log(`${chalk.cyan('Compose:'.padEnd(10))}${chalk.green('✓')} up to date`);
+  }
+
+  if (!status.docker) {
+    console.log(chalk.yellow('\n⚠️  Docker is not running, container state unavailable.\n'));
+    return;
+  }
+
+  const rows = status.services.map(service => [
+    service.service,
+    service.state,
+    service.health || '-',
+    service.uptime || '-',
+    service.ports.map(port => `${port.host}:${port.hostPort}→${port.containerPort}`).join(', ') || '-',
+    service.digest ? service.digest.replace('sha256:', '').slice(0, 12) : '-'
+  ]);
+  const headers = ['SERVICE', 'STATE', 'HEALTH', 'UPTIME', 'PORTS', 'DIGEST'];
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+  const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log('\n' + chalk.gray(formatRow(headers)));
+  rows.forEach((row, i) => {
+    const state = status.services[i].state;
+    const color = state === 'running' ? chalk.green : state === 'not created' ? chalk.gray : chalk.yellow;
+    console.log(color(formatRow(row)));
+  });
+  console.log('');
+}
+
+export default statusCommand;
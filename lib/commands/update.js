@@ -8,6 +8,8 @@ import path from 'path';
 import fs from 'fs';
 import { loadConfig, loadKeychainCredentials, createSecureTempEnvFile, secureDeleteTempEnvFile, ENV_FILE_NAME } from '../config.js';
 import { generateComposeFile } from '../compose-generator.js';
+import { unlockCredentialStore } from './keychain.js';
+import { readXdebugState, applyXdebugState } from '../xdebug.js';
 
 async function updateCommand(options = {}) {
   console.log(chalk.blue('🔄 Updating Docker images...\n'));
@@ -114,7 +116,8 @@ async function updateCommand(options = {}) {
     
     // Load keychain credentials and create secure temp env file if available
     let tempEnvPath = null;
-    const finalKeychainCredentials = loadKeychainCredentials();
+    await unlockCredentialStore(config);
+    const finalKeychainCredentials = loadKeychainCredentials(config);
     const keychainCredCount = Object.keys(finalKeychainCredentials).length;
     
     if (keychainCredCount > 0) {
@@ -147,6 +150,16 @@ async function updateCommand(options = {}) {
       }
     }
 
+    // Recreated containers lose the runtime Xdebug setting, so apply it again
+    const xdebugState = readXdebugState(projectPath);
+    if (xdebugState) {
+      try {
+        applyXdebugState(projectName, composePath, xdebugState);
+      } catch (err) {
+        console.log(chalk.yellow(`⚠️  Could not apply Xdebug setting: ${err.message}`));
+      }
+    }
+
     // Success message
     console.log(chalk.green('\n✅ Update complete!\n'));
     
@@ -0,0 +1,207 @@
+/**
+ * Workspace command - Clone and map the repos listed in the workspace section
+ */
+
+import chalk from 'chalk';
+import path from 'path';
+import { loadConfig, loadConfigLayers, updateConfigFile } from '../config.js';
+import { findMappingConflicts, getMappingsFileName } from '../mappings.js';
+import {
+  getWorkspaceRepos,
+  getRepoState,
+  syncRepo,
+  buildWorkspaceMappings,
+  mergeWorkspaceMappings
+} from '../workspace.js';
+import { offerApply } from './mappings.js';
+
+async function workspaceCommand(subcommand, args, options) {
+  try {
+    switch (subcommand) {
+      case 'sync':
+        await syncCommand(args, options);
+        break;
+      case 'list':
+        listCommand(options);
+        break;
+      default:
+        showHelp();
+    }
+  } catch (err) {
+    console.error(chalk.red('\n❌ Error:'), err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolve the current project and its workspace repos
+ * @returns {object} { config, projectPath, composePath, projectName, repos }
+ */
+function getProject() {
+  const projectPath = process.cwd();
+  const config = loadConfig(projectPath);
+  const repos = getWorkspaceRepos(config, projectPath);
+
+  if (repos.length === 0) {
+    throw new Error('No repos in the "workspace" section of .buwp-local.json (see docs/VOLUME_MAPPINGS.md)');
+  }
+
+  return {
+    config,
+    projectPath,
+    composePath: path.join(projectPath, '.buwp-local', 'docker-compose.yml'),
+    projectName: config.projectName || 'buwp-local',
+    repos
+  };
+}
+
+/**
+ * Clone missing repos, check out requested branches and generate mappings
+ * @param {string[]} names - Only sync these repos (default: all)
+ * @param {object} options - Command options
+ */
+async function syncCommand(names, options) {
+  const project = getProject();
+  const unknown = names.filter(name => !project.repos.some(repo => repo.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Not in the workspace: ${unknown.join(', ')}`);
+  }
+
+  const selected = names.length > 0 ? project.repos.filter(repo => names.includes(repo.name)) : project.repos;
+  console.log(chalk.blue(`🔄 Syncing ${selected.length} workspace repo${selected.length === 1 ? '' : 's'}...\n`));
+
+  const width = Math.max(...selected.map(repo => repo.name.length));
+  const failed = [];
+
+  selected.forEach(repo => {
+    try {
+      const result = syncRepo(repo);
+      console.log(`  ${chalk.green('✓')} ${repo.name.padEnd(width)}  ${chalk.gray(result)}`);
+    } catch (err) {
+      failed.push(repo.name);
+      console.log(`  ${chalk.red('✗')} ${repo.name.padEnd(width)}  ${chalk.red(err.message)}`);
+    }
+  });
+  console.log('');
+
+  // Map every repo that is on disk; repos that failed keep whatever mapping they had
+  const present = project.repos.filter(repo => getRepoState(repo.dir).exists);
+  const generated = buildWorkspaceMappings(present, project.projectPath);
+  const fileName = getMappingsFileName(project.projectPath);
+  const fileMappings = loadConfigLayers(project.projectPath)
+    .find(layer => layer.label === fileName).data.mappings || [];
+  const result = mergeWorkspaceMappings(fileMappings, generated, project.repos.map(repo => repo.container));
+
+  // Check each generated mapping against the rest of the merged list
+  const problems = generated.flatMap(mapping => findMappingConflicts(
+    result.mappings.filter(other => other !== mapping),
+    mapping.container
+  ));
+  if (problems.length > 0) {
+    console.log(chalk.red('❌ Cannot update mappings:'));
+    problems.forEach(problem => console.log(chalk.red(`  - ${problem.message}`)));
+    console.log(chalk.gray('\nChange the repo\'s type or container in the workspace section.\n'));
+    process.exit(1);
+  }
+
+  const changed = result.added.length + result.updated.length + result.removed.length > 0;
+  if (changed) {
+    updateConfigFile(project.projectPath, data => ({ ...data, mappings: result.mappings }), fileName);
+
+    console.log(chalk.green(`✓ Updated mappings in ${fileName}:`));
+    result.added.forEach(mapping => console.log(chalk.green(`  + ${mapping.local} → ${mapping.container}`)));
+    result.updated.forEach(mapping => console.log(chalk.yellow(`  ~ ${mapping.local} → ${mapping.container}`)));
+    result.removed.forEach(mapping => console.log(chalk.red(`  - ${mapping.local} → ${mapping.container}`)));
+    console.log('');
+  } else {
+    console.log(chalk.green('✓ Mappings already match the workspace\n'));
+  }
+
+  if (failed.length > 0) {
+    console.log(chalk.yellow(`⚠️  ${failed.length} repo${failed.length === 1 ? '' : 's'} could not be synced: ${failed.join(', ')}\n`));
+  }
+
+  if (changed) {
+    await offerApply(project, options);
+  }
+
+  if (failed.length > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Show each workspace repo and its state
+ * @param {object} options - Command options
+ */
+function listCommand(options) {
+  const project = getProject();
+  const mapped = new Set((project.config.mappings || []).map(mapping => path.resolve(project.projectPath, mapping.local)));
+
+  const repos = project.repos.map(repo => {
+    const state = getRepoState(repo.dir);
+    return {
+      ...repo,
+      exists: state.exists,
+      isRepo: state.isRepo,
+      currentBranch: state.branch,
+      dirty: state.dirty,
+      mapped: mapped.has(repo.dir)
+    };
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(repos, null, 2));
+    return;
+  }
+
+  console.log(chalk.blue('🗂️  Workspace repos\n'));
+
+  repos.forEach(repo => {
+    const notes = [];
+    if (!repo.exists) {
+      notes.push(chalk.yellow('not cloned'));
+    } else if (!repo.isRepo) {
+      notes.push(chalk.gray('not a git repository'));
+    } else {
+      const current = repo.currentBranch || 'detached HEAD';
+      notes.push(repo.branch && repo.branch !== repo.currentBranch
+        ? chalk.yellow(`on ${current}, wants ${repo.branch}`)
+        : chalk.gray(`on ${current}`));
+    }
+    if (repo.dirty) notes.push(chalk.yellow('uncommitted changes'));
+    if (repo.exists && !repo.mapped) notes.push(chalk.yellow('not mapped'));
+
+    console.log(`  ${chalk.white(repo.name)} ${chalk.gray(`(${repo.type || 'custom'})`)}  ${notes.join(chalk.gray(', '))}`);
+    console.log(chalk.gray(`    ${repo.dir} → ${repo.container}`));
+  });
+  console.log('');
+  console.log(chalk.gray('Run "buwp-local workspace sync" to clone missing repos, check out branches and update mappings.\n'));
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  console.log(chalk.blue('🗂️  Workspace Command\n'));
+  console.log('Rebuild a sandbox from the repos listed in the "workspace" section of .buwp-local.json.\n');
+  console.log(chalk.cyan('Usage:'));
+  console.log('  buwp-local workspace <subcommand> [names...] [options]\n');
+  console.log(chalk.cyan('Subcommands:'));
+  console.log('  sync [names...]   Clone missing repos, check out their branches and generate mappings');
+  console.log('  list              Show each repo, its branch and whether it is mapped\n');
+  console.log(chalk.cyan('Options:'));
+  console.log('  --apply       Sync: apply changed mappings to a running environment without asking');
+  console.log('  --no-apply    Sync: don\'t offer to apply to a running environment');
+  console.log('  --json        List: output as JSON\n');
+  console.log(chalk.cyan('Example .buwp-local.json:'));
+  console.log(chalk.gray(`  "workspace": {
+    "directory": "..",
+    "repos": [
+      { "url": "git@github.com:bu-ist/bu-navigation.git", "type": "plugin", "branch": "develop" },
+      { "path": "../responsive-child", "type": "theme" }
+    ]
+  }\n`));
+}
+
+export default workspaceCommand;
@@ -3,49 +3,273 @@
  */
 
 import chalk from 'chalk';
-import { execSync } from 'child_process';
+import { spawn, spawnSync } from 'child_process';
 import path from 'path';
 import fs from 'fs';
 import { loadConfig } from '../config.js';
 
-async function wpCommand(args, _options) {
+/**
+ * Build the docker compose arguments for a WP-CLI run
+ * Arguments are passed as argv, so quoting and JSON values reach WP-CLI unchanged. Without a
+ * terminal on both stdin and stdout, -T disables the pseudo-TTY so pipes and redirects work.
+ * @param {string} projectName - Docker Compose project name
+ * @param {string} composePath - Generated compose file
+ * @param {string[]} args - WP-CLI arguments
+ * @param {boolean} tty - Allocate a pseudo-TTY (default: when run from a terminal)
+ * @returns {string[]}
+ */
+export function buildWpArgs(projectName, composePath, args, tty = Boolean(process.stdin.isTTY && process.stdout.isTTY)) {
+  return [
+    'compose',
+    '-p', projectName,
+    '-f', composePath,
+    'exec',
+    ...(tty ? [] : ['-T']),
+    'wordpress',
+    'wp',
+    ...args
+  ];
+}
+
+/**
+ * Convert a site path glob to a regular expression
+ * "*" and "?" stay within one path segment, "**" crosses segments. Trailing slashes are
+ * ignored, so "/news" matches the site at "/news/".
+ * @param {string} pattern - Glob such as "/news/*"
+ * @returns {RegExp}
+ */
+function pathGlobToRegExp(pattern) {
+  const source = trimSlashes(pattern.startsWith('/') ? pattern : `/${pattern}`)
+    .split(/(\*\*|\*|\?)/)
+    .map(part => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Remove trailing slashes from a site path ("/" becomes "")
+ * @param {string} sitePath - Site path
+ * @returns {string}
+ */
+function trimSlashes(sitePath) {
+  return sitePath.replace(/\/+$/, '');
+}
+
+/**
+ * Resolve the running environment
+ * @returns {object} { projectName, composePath }
+ */
+function getEnvironment() {
+  const projectPath = process.cwd();
+  const composePath = path.join(projectPath, '.buwp-local', 'docker-compose.yml');
+
+  // Check if docker-compose.yml exists
+  // Messages go to stderr so stdout only carries WP-CLI output (e.g. wp db export - | gzip)
+  if (!fs.existsSync(composePath)) {
+    console.error(chalk.yellow('⚠️  No running environment found.'));
+    console.error(chalk.gray('Run "buwp-local start" to create an environment.\n'));
+    process.exit(1);
+  }
+
+  // Load config to get project name
+  const config = loadConfig(projectPath);
+  const projectName = config.projectName || 'buwp-local';
+
+  // Check if Docker is running
+  const info = spawnSync('docker', ['info'], { stdio: 'ignore' });
+  if (info.error || info.status !== 0) {
+    console.error(chalk.red('❌ Docker is not running.'));
+    process.exit(1);
+  }
+
+  return { projectName, composePath };
+}
+
+/**
+ * List the sites of the multisite network
+ * @param {object} env - Environment from getEnvironment()
+ * @returns {object[]} Sites [{ blog_id, url, path }]
+ */
+function listSites(env) {
+  const result = spawnSync(
+    'docker',
+    buildWpArgs(env.projectName, env.composePath, [
+      'site', 'list', '--fields=blog_id,url,path', '--format=json', '--skip-plugins', '--skip-themes'
+    ], false),
+    { cwd: path.dirname(env.composePath), encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], timeout: 120000 }
+  );
+
+  if (result.error) {
+    throw new Error(`Failed to run docker: ${result.error.message}`);
+  }
+  if (result.status !== 0) {
+    const detail = (result.stderr || '').trim().split('\n').pop();
+    throw new Error(`wp site list failed${detail ? `: ${detail}` : ` (exit code ${result.status})`}`);
+  }
+
   try {
-    const projectPath = process.cwd();
-    const composePath = path.join(projectPath, '.buwp-local', 'docker-compose.yml');
+    return JSON.parse(result.stdout.trim() || '[]');
+  } catch (err) {
+    throw new Error(`Could not read the output of wp site list: ${err.message}`);
+  }
+}
 
-    // Check if docker-compose.yml exists
-    if (!fs.existsSync(composePath)) {
-      console.log(chalk.yellow('⚠️  No running environment found.'));
-      console.log(chalk.gray('Run "buwp-local start" to create an environment.\n'));
-      return;
+/**
+ * Run WP-CLI for one site
+ * @param {object} env - Environment from getEnvironment()
+ * @param {object} site - Site from listSites()
+ * @param {string[]} args - WP-CLI arguments
+ * @param {boolean} capture - Collect output instead of streaming it (for parallel runs)
+ * @returns {Promise<object>} { site, code, output, ms }
+ */
+function runForSite(env, site, args, capture) {
+  const started = Date.now();
+  const child = spawn('docker', buildWpArgs(env.projectName, env.composePath, [`--url=${site.url}`, ...args], false), {
+    cwd: path.dirname(env.composePath),
+    stdio: ['ignore', capture ? 'pipe' : 'inherit', capture ? 'pipe' : 'inherit']
+  });
+
+  const chunks = [];
+  if (capture) {
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.stderr.on('data', chunk => chunks.push(chunk));
+  }
+
+  return new Promise(resolve => {
+    const finish = (code, error) => resolve({
+      site,
+      code,
+      output: error ? `${error.message}\n` : Buffer.concat(chunks).toString(),
+      ms: Date.now() - started
+    });
+    child.on('error', err => finish(null, err));
+    child.on('close', code => finish(code));
+  });
+}
+
+/**
+ * Run a worker over items with limited concurrency
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Run a WP-CLI command once for every site of the network
+ * @param {object} env - Environment from getEnvironment()
+ * @param {string[]} args - WP-CLI arguments
+ * @param {object} options - { filter, parallel }
+ */
+async function eachSiteCommand(env, args, options) {
+  const parallel = options.parallel === undefined ? 1 : Number(options.parallel);
+  if (!Number.isInteger(parallel) || parallel < 1) {
+    throw new Error(`--parallel must be a positive whole number, got "${options.parallel}"`);
+  }
+
+  let sites = listSites(env);
+  if (options.filter) {
+    const pattern = pathGlobToRegExp(options.filter);
+    sites = sites.filter(site => pattern.test(trimSlashes(site.path || '/')));
+  }
+
+  if (sites.length === 0) {
+    console.log(chalk.yellow(`⚠️  No sites${options.filter ? ` match ${options.filter}` : ' found'}.\n`));
+    return;
+  }
+
+  const command = `wp ${args.join(' ')}`;
+  console.log(chalk.blue(`🌐 Running "${command}" on ${sites.length} site${sites.length === 1 ? '' : 's'}${parallel > 1 ? ` (${parallel} at a time)` : ''}...`));
+
+  const capture = parallel > 1;
+  let done = 0;
+  const results = await runPool(sites, parallel, async (site, index) => {
+    if (!capture) {
+      console.log(chalk.cyan(`\n▶ [${index + 1}/${sites.length}] ${site.url}`));
     }
 
-    // Load config to get project name
-    const config = loadConfig(projectPath);
-    const projectName = config.projectName || 'buwp-local';
+    const result = await runForSite(env, site, args, capture);
+    done++;
+
+    if (capture) {
+      const mark = result.code === 0 ? chalk.green('✓') : chalk.red('✗');
+      console.log(`\n${mark} ${chalk.cyan(`[${done}/${sites.length}] ${site.url}`)}`);
+      if (result.output) {
+        process.stdout.write(result.output.endsWith('\n') ? result.output : `${result.output}\n`);
+      }
+    }
+    return result;
+  });
+
+  const headers = ['SITE', 'RESULT', 'TIME'];
+  const rows = results.map(result => [
+    result.site.url,
+    result.code === 0 ? 'ok' : result.code === null ? 'not run' : `exit ${result.code}`,
+    `${(result.ms / 1000).toFixed(1)}s`
+  ]);
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+  const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log('\n' + chalk.gray(formatRow(headers)));
+  rows.forEach((row, i) => {
+    console.log((results[i].code === 0 ? chalk.green : chalk.red)(formatRow(row)));
+  });
+
+  const failed = results.filter(result => result.code !== 0);
+  console.log('');
+  if (failed.length > 0) {
+    console.log(chalk.red(`❌ ${failed.length} of ${results.length} site${results.length === 1 ? '' : 's'} failed\n`));
+    process.exit(1);
+  }
+  console.log(chalk.green(`✅ "${command}" succeeded on ${results.length} site${results.length === 1 ? '' : 's'}\n`));
+}
 
-    // Check if Docker is running
-    try {
-      execSync('docker info', { stdio: 'ignore' });
-    } catch (err) {
-      console.error(chalk.red('❌ Docker is not running.'));
-      process.exit(1);
+async function wpCommand(args, options = {}) {
+  try {
+    if (!options.eachSite && (options.filter || options.parallel)) {
+      throw new Error('--filter and --parallel only apply with --each-site');
     }
 
-    // Build docker compose exec command for WP-CLI
-    const composeDir = path.dirname(composePath);
-    const wpArgs = args.join(' ');
-    const command = `docker compose -p ${projectName} -f "${composePath}" exec wordpress wp ${wpArgs}`;
+    const env = getEnvironment();
+
+    if (options.eachSite) {
+      await eachSiteCommand(env, args, options);
+      return;
+    }
 
     // Execute WP-CLI command
-    try {
-      execSync(command, { 
-        cwd: composeDir,
-        stdio: 'inherit'
-      });
-    } catch (err) {
-      // WP-CLI may exit with error codes (e.g., failed import), don't exit harshly
-      // The error output is already shown via stdio: 'inherit'
+    const result = spawnSync('docker', buildWpArgs(env.projectName, env.composePath, args), {
+      cwd: path.dirname(env.composePath),
+      stdio: 'inherit'
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to run docker: ${result.error.message}`);
+    }
+
+    // Pass WP-CLI's exit code on, so scripts and CI see failures
+    // The error output is already shown via stdio: 'inherit'
+    if (result.status !== 0) {
+      process.exit(result.status ?? 1);
     }
 
   } catch (err) {
@@ -0,0 +1,239 @@
+/**
+ * Xdebug command - Toggle Xdebug in the running environment and configure IDEs
+ */
+
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import { loadConfig } from '../config.js';
+import { getComposeContainers } from '../docker.js';
+import { SUPPORTED_IDES, writeIdeConfig, resolveMappings } from '../ide-config.js';
+import {
+  XDEBUG_MODES,
+  DEFAULT_XDEBUG_MODES,
+  readXdebugState,
+  writeXdebugState,
+  parseXdebugModes,
+  applyXdebugState,
+  getContainerXdebugStatus
+} from '../xdebug.js';
+
+async function xdebugCommand(subcommand, args, options) {
+  try {
+    switch (subcommand) {
+      case 'on':
+        toggleCommand(true, options);
+        break;
+      case 'off':
+        toggleCommand(false, options);
+        break;
+      case 'status':
+        statusCommand(options);
+        break;
+      case 'config':
+        configCommand(options);
+        break;
+      default:
+        showHelp();
+    }
+  } catch (err) {
+    console.error(chalk.red('\n❌ Error:'), err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolve the current project
+ * @returns {object} { config, projectPath, composePath, projectName }
+ */
+function getProject() {
+  const projectPath = process.cwd();
+  const config = loadConfig(projectPath);
+  return {
+    config,
+    projectPath,
+    composePath: path.join(projectPath, '.buwp-local', 'docker-compose.yml'),
+    projectName: config.projectName || 'buwp-local'
+  };
+}
+
+/**
+ * Check if the project's WordPress container is running
+ * @param {object} project - Project from getProject()
+ * @returns {boolean}
+ */
+function isWordPressRunning(project) {
+  if (!fs.existsSync(project.composePath)) {
+    return false;
+  }
+
+  try {
+    const wordpress = getComposeContainers(project.projectName, project.composePath)
+      .find(container => container.Service === 'wordpress');
+    return Boolean(wordpress && wordpress.State === 'running');
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Turn Xdebug on or off, in the running container and for the next start
+ * @param {boolean} enabled - Whether to turn Xdebug on
+ * @param {object} options - Command options
+ */
+function toggleCommand(enabled, options) {
+  const project = getProject();
+  const previous = readXdebugState(project.projectPath);
+  const modes = options.mode
+    ? parseXdebugModes(options.mode)
+    : (previous ? previous.modes : DEFAULT_XDEBUG_MODES);
+
+  if (!enabled && options.mode) {
+    console.log(chalk.gray('--mode is ignored when turning Xdebug off.\n'));
+  }
+
+  const state = writeXdebugState(project.projectPath, { enabled, modes });
+  const label = enabled ? `on (${modes.join(', ')})` : 'off';
+
+  if (!isWordPressRunning(project)) {
+    console.log(chalk.green(`✓ Xdebug will be ${label} on the next "buwp-local start"\n`));
+    return;
+  }
+
+  console.log(chalk.gray(`Turning Xdebug ${enabled ? 'on' : 'off'} in the WordPress container...`));
+  applyXdebugState(project.projectName, project.composePath, state);
+  console.log(chalk.green(`✓ Xdebug ${label}\n`));
+
+  const status = getContainerXdebugStatus(project.projectName, project.composePath);
+  if (status && status.envMode) {
+    console.log(chalk.yellow(`⚠️  XDEBUG_MODE=${status.envMode} is set in the container and overrides this setting.`));
+    console.log(chalk.gray('Remove it from "env" in .buwp-local.json and run "buwp-local start".\n'));
+  }
+
+  if (enabled && modes.some(mode => mode === 'profile' || mode === 'trace') && status) {
+    console.log(chalk.gray(`Profiles and traces are written to ${status.outputDir || '/tmp'} in the WordPress container.\n`));
+  }
+
+  if (enabled && modes.includes('debug')) {
+    console.log(chalk.gray('Start listening in your IDE (see "buwp-local xdebug config") and reload the page.\n'));
+  }
+}
+
+/**
+ * Show the persisted and live Xdebug state
+ * @param {object} options - Command options
+ */
+function statusCommand(options) {
+  const project = getProject();
+  const state = readXdebugState(project.projectPath);
+  const container = isWordPressRunning(project)
+    ? getContainerXdebugStatus(project.projectName, project.composePath)
+    : null;
+
+  if (options.json) {
+    console.log(JSON.stringify({ saved: state, container }, null, 2));
+    return;
+  }
+
+  console.log(chalk.blue('🐞 Xdebug\n'));
+
+  const saved = state
+    ? (state.enabled ? chalk.green(`on (${state.modes.join(', ')})`) : chalk.gray('off'))
+    : chalk.gray(`not set (env.XDEBUG in .buwp-local.json: ${project.config.env?.XDEBUG ? 'true' : 'false'})`);
+  console.log(`${chalk.cyan('Saved:'.padEnd(11))}${saved}`);
+
+  if (!container) {
+    console.log(`${chalk.cyan('Container:'.padEnd(11))}${chalk.gray('not running')}\n`);
+    return;
+  }
+
+  const live = !container.loaded
+    ? chalk.gray('not loaded')
+    : container.mode === 'off' && !container.envMode
+      ? chalk.gray(`off (Xdebug ${container.version} loaded)`)
+      : chalk.green(`${container.envMode || container.mode} (Xdebug ${container.version})`);
+  console.log(`${chalk.cyan('Container:'.padEnd(11))}${live}`);
+
+  if (container.loaded) {
+    console.log(`${''.padEnd(11)}${chalk.gray(`client ${container.clientHost}:${container.clientPort}, start_with_request=${container.startWithRequest || 'default'}`)}`);
+    console.log(`${''.padEnd(11)}${chalk.gray(`output dir ${container.outputDir}`)}`);
+  }
+  if (container.envMode) {
+    console.log(chalk.yellow(`\n⚠️  XDEBUG_MODE=${container.envMode} is set in the container and overrides "xdebug on|off".`));
+  }
+  console.log('');
+}
+
+/**
+ * Write IDE debug configuration from config.mappings
+ * @param {object} options - Command options
+ */
+function configCommand(options) {
+  const projectPath = process.cwd();
+  const config = loadConfig(projectPath);
+  const ide = (options.ide || 'vscode').toLowerCase();
+
+  if (!SUPPORTED_IDES.includes(ide)) {
+    throw new Error(`Unknown IDE "${options.ide}" (expected one of: ${SUPPORTED_IDES.join(', ')})`);
+  }
+
+  const mappings = resolveMappings(config, projectPath);
+  if (mappings.length === 0) {
+    console.log(chalk.yellow('⚠️  No volume mappings in .buwp-local.json, so there is nothing to map.'));
+    console.log(chalk.gray('Add mappings first (see docs/VOLUME_MAPPINGS.md).\n'));
+    return;
+  }
+
+  console.log(chalk.blue(`🐞 Writing ${ide} Xdebug configuration...\n`));
+  const written = writeIdeConfig(ide, config, projectPath);
+
+  console.log(chalk.cyan('Path mappings:'));
+  mappings.forEach(mapping => {
+    console.log(chalk.white(`  ${mapping.container}`) + chalk.gray(` → ${mapping.local}`));
+  });
+
+  console.log(chalk.cyan('\nUpdated:'));
+  written.forEach(file => {
+    console.log(chalk.green(`  ✓ ${path.relative(projectPath, file.path)}`));
+    if (file.hadComments) {
+      console.log(chalk.yellow('    ⚠️  Comments in this file were not preserved'));
+    }
+  });
+  console.log('');
+
+  if (ide === 'vscode' && written[0].path.endsWith('.code-workspace')) {
+    console.log(chalk.gray('Some mappings are outside this directory, so a multi-root workspace was written.'));
+    console.log(chalk.gray(`Open it with: code ${path.relative(projectPath, written[0].path)}\n`));
+  }
+
+  console.log(chalk.gray('Re-run this command after changing mappings. Turn Xdebug on with: buwp-local xdebug on\n'));
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  console.log(chalk.blue('🐞 Xdebug Command\n'));
+  console.log(chalk.cyan('Usage:'));
+  console.log('  buwp-local xdebug <subcommand> [options]\n');
+  console.log(chalk.cyan('Subcommands:'));
+  console.log('  on       Turn Xdebug on in the running container (no restart) and keep it on for the next start');
+  console.log('  off      Turn Xdebug off the same way');
+  console.log('  status   Show the saved setting and the container\'s effective Xdebug mode');
+  console.log('  config   Write IDE debug configuration with path mappings from .buwp-local.json\n');
+  console.log(chalk.cyan('Options:'));
+  console.log(`  --mode <modes>   On: comma-separated Xdebug modes (${XDEBUG_MODES.join(', ')}; default: last used, or debug)`);
+  console.log(`  --ide <ide>      Config: IDE to configure: ${SUPPORTED_IDES.join(', ')} (default: vscode)`);
+  console.log('  --json           Status: output as JSON\n');
+  console.log(chalk.cyan('Examples:'));
+  console.log('  buwp-local xdebug on');
+  console.log('  buwp-local xdebug on --mode debug,profile');
+  console.log('  buwp-local xdebug off\n');
+  console.log(chalk.cyan('Config files:'));
+  console.log('  vscode     .vscode/launch.json, or <project>.code-workspace when mappings point outside the project');
+  console.log('  phpstorm   .idea/workspace.xml (PHP server) and .idea/runConfigurations/buwp_local_Xdebug.xml');
+  console.log('  zed        .zed/debug.json\n');
+  console.log('Existing configurations are kept; only the buwp-local entry is replaced.\n');
+}
+
+export default xdebugCommand;
@@ -6,6 +6,39 @@
 import yaml from 'js-yaml';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { certificateExists, getCertificatePaths } from './certs.js';
+
+/**
+ * Constants the WordPress image's wp-config.php defines from WORDPRESS_* environment variables
+ */
+const IMAGE_CONSTANTS = ['DB_NAME', 'DB_USER', 'DB_PASSWORD', 'DB_HOST', 'WP_DEBUG'];
+
+/**
+ * Optional project file merged over the generated compose configuration
+ */
+const COMPOSE_OVERRIDE_FILE_NAME = 'docker-compose.override.yml';
+
+/**
+ * Compose keys that accept either a list or a map
+ */
+const LIST_OR_MAP_KEYS = ['environment', 'labels', 'depends_on', 'extra_hosts'];
+
+/**
+ * mu-plugin that routes wp_mail() to Mailpit, shipped with the package
+ */
+const MAIL_MU_PLUGIN_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'mu-plugins', 'buwp-local-mail.php');
+
+/**
+ * Where Apache's default SSL site reads its certificate and key in the WordPress image
+ */
+const CONTAINER_CERT_PATH = '/etc/ssl/certs/ssl-cert-snakeoil.pem';
+const CONTAINER_KEY_PATH = '/etc/ssl/private/ssl-cert-snakeoil.key';
+
+/**
+ * Adminer plugin that logs into the wordpress database, shipped with the package
+ */
+const ADMINER_LOGIN_PLUGIN_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'adminer', 'buwp-local-login.php');
 
 /**
  * Generate docker-compose configuration from buwp-local config
@@ -46,6 +79,16 @@ function generateComposeConfig(config) {
     composeConfig.services.redis = generateRedisService(config);
   }
 
+  // Mailpit mail catcher (if enabled)
+  if (config.services.mail) {
+    composeConfig.services.mail = generateMailService(config);
+  }
+
+  // Database admin UI (if enabled)
+  if (config.services.dbadmin) {
+    composeConfig.services.dbadmin = generateDbAdminService(config);
+  }
+
   return composeConfig;
 }
 
@@ -64,9 +107,19 @@ function generateDbService(config, dbVolumeName) {
       MYSQL_DATABASE: 'wordpress',
       MYSQL_USER: 'wordpress',
       MYSQL_PASSWORD: '${WORDPRESS_DB_PASSWORD:-password}',
-      MYSQL_ROOT_PASSWORD: '${DB_ROOT_PASSWORD:-rootpassword}'
+      MYSQL_ROOT_PASSWORD: '${DB_ROOT_PASSWORD:-rootpassword}',
+      // Creates the healthcheck user on volumes initialized by older images
+      MARIADB_AUTO_UPGRADE: '1'
     },
     ports: [`127.0.0.1:${config.ports.db}:3306`],
+    // healthcheck.sh ships with the official MariaDB image
+    healthcheck: {
+      test: ['CMD', 'healthcheck.sh', '--connect', '--innodb_initialized'],
+      interval: '5s',
+      timeout: '5s',
+      retries: 10,
+      start_period: '30s'
+    },
     networks: ['wp-network']
   };
 }
@@ -78,10 +131,15 @@ function generateDbService(config, dbVolumeName) {
  * @returns {object} WordPress service config
  */
 function generateWordPressService(config, wpVolumeName) {
-  const depends_on = ['db'];
+  // Wait for dependencies to pass their healthchecks, so WordPress doesn't race MariaDB on first boot
+  const depends_on = {
+    db: { condition: 'service_healthy' }
+  };
   
-  if (config.services.s3proxy) depends_on.push('s3proxy');
-  if (config.services.redis) depends_on.push('redis');
+  // Nothing confirms the aws-sigv4-proxy image ships wget or curl, so s3proxy has no healthcheck to wait for
+  if (config.services.s3proxy) depends_on.s3proxy = { condition: 'service_started' };
+  if (config.services.redis) depends_on.redis = { condition: 'service_healthy' };
+  if (config.services.mail) depends_on.mail = { condition: 'service_healthy' };
 
   // Build environment variables
   const environment = {
@@ -95,7 +153,7 @@ function generateWordPressService(config, wpVolumeName) {
     MULTISITE: config.multisite ? 'true' : 'false',
     XDEBUG: config.env?.XDEBUG || 'false',
     WP_CLI_ALLOW_ROOT: 'true',
-    TZ: 'America/New_York'
+    TZ: config.env?.TZ || 'America/New_York'
   };
 
   // Add Shibboleth config if enabled
@@ -118,27 +176,14 @@ function generateWordPressService(config, wpVolumeName) {
     environment.REDIS_PORT = '6379';
   }
 
-  // Build WordPress config extra
-  let wpConfigExtra = '';
-  
-  if (config.multisite) {
-    wpConfigExtra += "define('MULTISITE', true);\n";
-    wpConfigExtra += "define('SUBDOMAIN_INSTALL', false);\n";
+  // Add mail catcher config if enabled (read by the buwp-local-mail mu-plugin)
+  if (config.services.mail) {
+    environment.BUWP_LOCAL_SMTP_HOST = 'mail';
+    environment.BUWP_LOCAL_SMTP_PORT = '1025';
   }
 
-  if (config.services.s3proxy) {
-    wpConfigExtra += "define('S3_UPLOADS_BUCKET', '${S3_UPLOADS_BUCKET}');\n";
-    wpConfigExtra += "define('S3_UPLOADS_REGION', '${S3_UPLOADS_REGION:-us-east-1}');\n";
-    wpConfigExtra += "define('S3_UPLOADS_KEY', '${S3_UPLOADS_ACCESS_KEY_ID}');\n";
-    wpConfigExtra += "define('S3_UPLOADS_SECRET', '${S3_UPLOADS_SECRET_ACCESS_KEY}');\n";
-    wpConfigExtra += "define('ACCESS_RULES_TABLE', '${S3_ACCESS_RULES_TABLE}');\n";
-    wpConfigExtra += "define('S3_UPLOADS_OBJECT_ACL', null);\n";
-    wpConfigExtra += "define('S3_UPLOADS_AUTOENABLE', true);\n";
-    wpConfigExtra += "define('S3_UPLOADS_DISABLE_REPLACE_UPLOAD_URL', true);\n";
-  }
-
-  // Add BU_INCLUDES_PATH definition; this seems bad and should be unwound, but various things depend on it right now.
-  wpConfigExtra += `define( 'BU_INCLUDES_PATH', '/var/www/html/bu-includes' );\n`;
+  // Build WordPress config extra: generated defines, then wpConfig constants, then wpConfig snippets
+  const wpConfigExtra = buildGeneratedConfigExtra(config) + buildUserConfigExtra(config);
 
   // Add custom env vars
   Object.entries(config.env || {}).forEach(([key, value]) => {
@@ -159,6 +204,16 @@ function generateWordPressService(config, wpVolumeName) {
 
   const volumes = [`${wpVolumeName}:/var/www/html`, ...customVolumes];
 
+  // Serve the certificate from "buwp-local cert create" instead of the image's self-signed one
+  if (certificateExists(config.hostname)) {
+    const { certPath, keyPath } = getCertificatePaths(config.hostname);
+    volumes.push(`${certPath}:${CONTAINER_CERT_PATH}:ro`, `${keyPath}:${CONTAINER_KEY_PATH}:ro`);
+  }
+
+  if (config.services.mail) {
+    volumes.push(`${MAIL_MU_PLUGIN_PATH}:/var/www/html/wp-content/mu-plugins/buwp-local-mail.php:ro`);
+  }
+
   return {
     image: config.image,
     depends_on,
@@ -170,10 +225,106 @@ function generateWordPressService(config, wpVolumeName) {
     hostname: config.hostname,
     environment,
     volumes,
+    // Any HTTP response counts: before install WordPress answers with a redirect
+    healthcheck: {
+      test: ['CMD-SHELL', 'curl -s -o /dev/null http://localhost/ || exit 1'],
+      interval: '10s',
+      timeout: '5s',
+      retries: 5,
+      start_period: '60s'
+    },
     networks: ['wp-network']
   };
 }
 
+/**
+ * Build the wp-config.php defines buwp-local generates from the configuration
+ * @param {object} config - buwp-local configuration
+ * @returns {string} PHP code for WORDPRESS_CONFIG_EXTRA
+ */
+function buildGeneratedConfigExtra(config) {
+  let wpConfigExtra = '';
+  
+  if (config.multisite) {
+    wpConfigExtra += "define('MULTISITE', true);\n";
+    wpConfigExtra += "define('SUBDOMAIN_INSTALL', false);\n";
+  }
+
+  if (config.services.s3proxy) {
+    wpConfigExtra += "define('S3_UPLOADS_BUCKET', '${S3_UPLOADS_BUCKET}');\n";
+    wpConfigExtra += "define('S3_UPLOADS_REGION', '${S3_UPLOADS_REGION:-us-east-1}');\n";
+    wpConfigExtra += "define('S3_UPLOADS_KEY', '${S3_UPLOADS_ACCESS_KEY_ID}');\n";
+    wpConfigExtra += "define('S3_UPLOADS_SECRET', '${S3_UPLOADS_SECRET_ACCESS_KEY}');\n";
+    wpConfigExtra += "define('ACCESS_RULES_TABLE', '${S3_ACCESS_RULES_TABLE}');\n";
+    wpConfigExtra += "define('S3_UPLOADS_OBJECT_ACL', null);\n";
+    wpConfigExtra += "define('S3_UPLOADS_AUTOENABLE', true);\n";
+    wpConfigExtra += "define('S3_UPLOADS_DISABLE_REPLACE_UPLOAD_URL', true);\n";
+  }
+
+  // Add BU_INCLUDES_PATH definition; this seems bad and should be unwound, but various things depend on it right now.
+  wpConfigExtra += `define( 'BU_INCLUDES_PATH', '/var/www/html/bu-includes' );\n`;
+
+  return wpConfigExtra;
+}
+
+/**
+ * Names of constants buwp-local defines, either in WORDPRESS_CONFIG_EXTRA or through the
+ * image's wp-config.php (from WORDPRESS_* environment variables)
+ * @param {object} config - buwp-local configuration
+ * @returns {string[]} Constant names
+ */
+function getGeneratedConstants(config) {
+  return [...IMAGE_CONSTANTS, ...findDefinedConstants(buildGeneratedConfigExtra(config))];
+}
+
+/**
+ * Find the constants a piece of PHP defines
+ * @param {string} php - PHP code
+ * @returns {string[]} Constant names
+ */
+function findDefinedConstants(php) {
+  return [...php.matchAll(/define\(\s*['"]([A-Za-z0-9_]+)['"]/g)].map(match => match[1]);
+}
+
+/**
+ * Build the wp-config.php additions from config.wpConfig
+ * Constants come first in the order they are listed, then snippet files in array order.
+ * Dollar signs are doubled so Docker Compose does not treat PHP variables as interpolation.
+ * @param {object} config - buwp-local configuration
+ * @returns {string} PHP code
+ */
+function buildUserConfigExtra(config) {
+  const { constants = {}, snippets = [] } = config.wpConfig || {};
+  let php = '';
+
+  Object.entries(constants).forEach(([name, value]) => {
+    php += `define('${name}', ${toPhpValue(value)});\n`;
+  });
+
+  snippets.forEach(snippet => {
+    const snippetPath = path.resolve(snippet);
+    const code = fs.readFileSync(snippetPath, 'utf8')
+      .replace(/^\s*<\?php\b/, '')
+      .replace(/\?>\s*$/, '')
+      .trim();
+    php += `// wpConfig snippet: ${snippet}\n${code}\n`;
+  });
+
+  return php.replace(/\$/g, '$$$$');
+}
+
+/**
+ * Serialize a constant value as a PHP literal
+ * @param {boolean|number|string|null} value - Constant value
+ * @returns {string} PHP literal
+ */
+function toPhpValue(value) {
+  if (value === null) return 'null';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') return String(value);
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
 /**
  * Generate S3 proxy service configuration
  * @param {object} _config - buwp-local configuration (unused - env vars used instead)
@@ -213,10 +364,245 @@ function generateRedisService(config) {
     image: 'redis:alpine',
     restart: 'always',
     ports: [`127.0.0.1:${config.ports.redis}:6379`],
+    healthcheck: {
+      test: ['CMD', 'redis-cli', 'ping'],
+      interval: '5s',
+      timeout: '3s',
+      retries: 10
+    },
+    networks: ['wp-network']
+  };
+}
+
+/**
+ * Generate Mailpit service configuration
+ * SMTP stays on the internal network; only the web UI is published, on localhost
+ * @param {object} config - buwp-local configuration
+ * @returns {object} Mailpit service config
+ */
+function generateMailService(config) {
+  return {
+    image: 'axllent/mailpit:latest',
+    restart: 'always',
+    ports: [`127.0.0.1:${config.ports.mail}:8025`],
+    environment: {
+      MP_SMTP_AUTH_ACCEPT_ANY: '1',
+      MP_SMTP_AUTH_ALLOW_INSECURE: '1'
+    },
+    healthcheck: {
+      test: ['CMD', '/mailpit', 'readyz'],
+      interval: '5s',
+      timeout: '3s',
+      retries: 10
+    },
     networks: ['wp-network']
   };
 }
 
+/**
+ * Generate database admin UI service configuration
+ * services.dbadmin is "phpmyadmin", "adminer" or true (phpMyAdmin). Like the db port, the UI
+ * is only published on localhost. Passwords come from the same variables as the db service.
+ * @param {object} config - buwp-local configuration
+ * @returns {object} phpMyAdmin or Adminer service config
+ */
+function generateDbAdminService(config) {
+  const depends_on = {
+    db: { condition: 'service_healthy' }
+  };
+
+  if (config.services.dbadmin === 'adminer') {
+    return {
+      image: 'adminer:latest',
+      depends_on,
+      restart: 'always',
+      ports: [`127.0.0.1:${config.ports.dbadmin}:8080`],
+      environment: {
+        ADMINER_DEFAULT_SERVER: 'db',
+        BUWP_LOCAL_DB_PASSWORD: '${WORDPRESS_DB_PASSWORD:-password}'
+      },
+      volumes: [`${ADMINER_LOGIN_PLUGIN_PATH}:/var/www/html/plugins-enabled/buwp-local-login.php:ro`],
+      networks: ['wp-network']
+    };
+  }
+
+  return {
+    image: 'phpmyadmin:latest',
+    depends_on,
+    restart: 'always',
+    ports: [`127.0.0.1:${config.ports.dbadmin}:80`],
+    environment: {
+      PMA_HOST: 'db',
+      PMA_USER: 'wordpress',
+      PMA_PASSWORD: '${WORDPRESS_DB_PASSWORD:-password}',
+      MYSQL_ROOT_PASSWORD: '${DB_ROOT_PASSWORD:-rootpassword}'
+    },
+    networks: ['wp-network']
+  };
+}
+
+/**
+ * Generate the compose configuration with user overrides applied
+ * Merge order: generated config, then the "compose" config key, then docker-compose.override.yml
+ * @param {object} config - buwp-local configuration
+ * @param {string} projectPath - Project directory path
+ * @returns {object} Docker Compose configuration object
+ */
+function buildComposeConfig(config, projectPath = process.cwd()) {
+  let composeConfig = generateComposeConfig(config);
+
+  for (const override of loadComposeOverrides(config, projectPath)) {
+    composeConfig = mergeCompose(composeConfig, override.data);
+  }
+
+  return composeConfig;
+}
+
+/**
+ * Collect the compose overrides that apply to a project
+ * @param {object} config - buwp-local configuration
+ * @param {string} projectPath - Project directory path
+ * @returns {object[]} Overrides [{ source, data }] in merge order
+ */
+function loadComposeOverrides(config, projectPath = process.cwd()) {
+  const overrides = [];
+
+  if (config.compose && Object.keys(config.compose).length > 0) {
+    overrides.push({ source: '"compose" in configuration', data: config.compose });
+  }
+
+  const overridePath = path.join(projectPath, COMPOSE_OVERRIDE_FILE_NAME);
+  if (fs.existsSync(overridePath)) {
+    let data;
+    try {
+      data = yaml.load(fs.readFileSync(overridePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Failed to parse ${COMPOSE_OVERRIDE_FILE_NAME}: ${err.message}`);
+    }
+    if (data) {
+      overrides.push({ source: COMPOSE_OVERRIDE_FILE_NAME, data });
+    }
+  }
+
+  return overrides.map(override => ({ ...override, data: resolveVolumePaths(override.data, projectPath) }));
+}
+
+/**
+ * Make relative bind mount sources absolute
+ * The generated file lives in .buwp-local/, so Compose would otherwise resolve "./" against that directory
+ * @param {object} override - Compose override
+ * @param {string} projectPath - Project directory path
+ * @returns {object} Override with absolute bind mount sources
+ */
+function resolveVolumePaths(override, projectPath) {
+  if (!override.services) {
+    return override;
+  }
+
+  const isRelative = source => typeof source === 'string' && (source === '.' || source.startsWith('./') || source.startsWith('../'));
+  const services = {};
+
+  Object.entries(override.services).forEach(([name, service]) => {
+    if (!service || !Array.isArray(service.volumes)) {
+      services[name] = service;
+      return;
+    }
+
+    const volumes = service.volumes.map(volume => {
+      if (typeof volume === 'string') {
+        const [source, ...rest] = volume.split(':');
+        return isRelative(source) ? [path.resolve(projectPath, source), ...rest].join(':') : volume;
+      }
+      if (volume && isRelative(volume.source)) {
+        return { ...volume, source: path.resolve(projectPath, volume.source) };
+      }
+      return volume;
+    });
+
+    services[name] = { ...service, volumes };
+  });
+
+  return { ...override, services };
+}
+
+/**
+ * Deep merge a compose override into a compose configuration
+ * Mappings merge key by key, lists (ports, volumes, ...) are appended without duplicates,
+ * and any other value replaces the generated one. Keys Compose accepts as a list or a map
+ * (environment, labels, depends_on, extra_hosts) are merged as maps whichever form each side uses.
+ * @param {object} base - Compose configuration
+ * @param {object} override - Override to merge in
+ * @returns {object} Merged configuration
+ */
+function mergeCompose(base, override) {
+  const isMapping = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (isMapping(base) && isMapping(override)) {
+    const merged = { ...base };
+    Object.entries(override).forEach(([key, value]) => {
+      if (!(key in base)) {
+        merged[key] = value;
+      } else if (LIST_OR_MAP_KEYS.includes(key) && (Array.isArray(base[key]) || Array.isArray(value))) {
+        const baseMap = listToMap(key, base[key]);
+        let overrideMap = listToMap(key, value);
+        // A service named in a depends_on list sets no condition, so a generated one is kept
+        if (key === 'depends_on' && Array.isArray(value) && isMapping(baseMap)) {
+          overrideMap = Object.fromEntries(Object.entries(overrideMap).filter(([name]) => !(name in baseMap)));
+        }
+        merged[key] = mergeCompose(baseMap, overrideMap);
+      } else {
+        merged[key] = mergeCompose(base[key], value);
+      }
+    });
+    return merged;
+  }
+
+  if (Array.isArray(base) && Array.isArray(override)) {
+    const merged = [...base];
+    override.forEach(item => {
+      if (!merged.some(existing => JSON.stringify(existing) === JSON.stringify(item))) {
+        merged.push(item);
+      }
+    });
+    return merged;
+  }
+
+  return override;
+}
+
+/**
+ * Convert the list form of a list-or-map compose key to its map form
+ * "KEY=value" becomes { KEY: 'value' }, a bare "KEY" in environment becomes { KEY: null }
+ * (taken from the shell), extra_hosts also accept "host:ip", and a depends_on
+ * service name becomes { name: { condition: 'service_started' } }, Compose's default.
+ * @param {string} key - Compose key (one of LIST_OR_MAP_KEYS)
+ * @param {*} value - List or map
+ * @returns {*} Map, or the value unchanged if it is not a list
+ */
+function listToMap(key, value) {
+  if (!Array.isArray(value)) {
+    return value;
+  }
+
+  const map = {};
+  value.forEach(item => {
+    const entry = String(item);
+
+    if (key === 'depends_on') {
+      map[entry] = { condition: 'service_started' };
+      return;
+    }
+
+    const separator = key === 'extra_hosts' ? entry.search(/[=:]/) : entry.indexOf('=');
+    if (separator === -1) {
+      map[entry] = key === 'environment' ? null : '';
+    } else {
+      map[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+  });
+  return map;
+}
+
 /**
  * Write docker-compose.yml file
  * @param {object} composeConfig - Docker Compose configuration
@@ -232,7 +618,7 @@ function writeComposeFile(composeConfig, outputPath) {
 
   const fileContent = `# Generated by buwp-local
 # Do not edit this file directly - it will be overwritten
-# Edit .buwp-local.json instead
+# Edit .buwp-local.json ("compose" key) or ${COMPOSE_OVERRIDE_FILE_NAME} instead
 
 ${yamlContent}`;
 
@@ -255,13 +641,18 @@ function generateComposeFile(config, projectPath = process.cwd()) {
   }
 
   const composePath = path.join(stateDir, 'docker-compose.yml');
-  const composeConfig = generateComposeConfig(config);
+  const composeConfig = buildComposeConfig(config, projectPath);
   
   return writeComposeFile(composeConfig, composePath);
 }
 
 export {
   generateComposeConfig,
+  buildComposeConfig,
+  loadComposeOverrides,
+  COMPOSE_OVERRIDE_FILE_NAME,
+  getGeneratedConstants,
+  findDefinedConstants,
   generateComposeFile,
   writeComposeFile
 };
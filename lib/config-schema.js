@@ -0,0 +1,176 @@
+/**
+ * JSON Schema validation for .buwp-local.json
+ * Turns Ajv errors into { pointer, message, suggestion } issues with "did you mean" hints.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+
+export const SCHEMA_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'schema', 'buwp-local.schema.json');
+
+// Published with the npm package, so editors can fetch it without a local install
+export const SCHEMA_URL = 'https://unpkg.com/@bostonuniversity/buwp-local/schema/buwp-local.schema.json';
+
+let validator = null;
+
+/**
+ * Compile the schema once per process
+ * @returns {function} Ajv validate function
+ */
+function getValidator() {
+  if (!validator) {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+    validator = ajv.compile(schema);
+  }
+  return validator;
+}
+
+/**
+ * Validate a parsed configuration file against the schema
+ * @param {object} data - Parsed .buwp-local.json contents
+ * @returns {object[]} Issues [{ pointer, message, suggestion }], empty if valid
+ */
+export function validateAgainstSchema(data) {
+  const validate = getValidator();
+  if (validate(data)) {
+    return [];
+  }
+  return validate.errors.map(toIssue);
+}
+
+/**
+ * Convert an Ajv error into an issue
+ * @param {object} error - Ajv error (verbose mode)
+ * @returns {object} { pointer, message, suggestion }
+ */
+function toIssue(error) {
+  const pointer = error.instancePath;
+
+  switch (error.keyword) {
+    case 'additionalProperties': {
+      const key = error.params.additionalProperty;
+      const known = Object.keys(error.parentSchema.properties || {});
+      return {
+        pointer: `${pointer}/${escapePointer(key)}`,
+        message: 'unknown property',
+        suggestion: closestMatch(key, known)
+      };
+    }
+    case 'required':
+      return {
+        pointer: `${pointer}/${escapePointer(error.params.missingProperty)}`,
+        message: 'is required',
+        suggestion: null
+      };
+    case 'type': {
+      const types = [].concat(error.schema);
+      return {
+        pointer,
+        message: `must be ${types.join(' or ')}`,
+        suggestion: coerce(error.data, types)
+      };
+    }
+    case 'enum':
+      return {
+        pointer,
+        message: `must be one of: ${error.schema.join(', ')}`,
+        suggestion: typeof error.data === 'string'
+          ? closestMatch(error.data, error.schema.filter(value => typeof value === 'string'))
+          : null
+      };
+    case 'pattern':
+      if (error.schema === '^/') {
+        return { pointer, message: 'must be an absolute path', suggestion: `/${error.data}` };
+      }
+      return { pointer, message: error.message, suggestion: null };
+    default:
+      return { pointer, message: error.message, suggestion: null };
+  }
+}
+
+/**
+ * Escape a property name for use in a JSON pointer (RFC 6901)
+ * @param {string} key - Property name
+ * @returns {string}
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Suggest the intended value for a quoted boolean or number, e.g. "false" -> false
+ * @param {*} value - Value with the wrong type
+ * @param {string[]} types - Expected types
+ * @returns {*} Suggested value or null
+ */
+function coerce(value, types) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if ((types.includes('integer') || types.includes('number')) && /^\d+$/.test(value.trim())) {
+    return parseInt(value, 10);
+  }
+  return null;
+}
+
+/**
+ * Find the closest candidate to a misspelled word
+ * @param {string} word - Misspelled word
+ * @param {string[]} candidates - Valid words
+ * @returns {string|null} Closest candidate within a small edit distance
+ */
+function closestMatch(word, candidates) {
+  const maxDistance = Math.max(2, Math.floor(word.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(word.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= maxDistance ? best : null;
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Format an issue for display
+ * @param {object} issue - { file?, pointer, message, suggestion }
+ * @returns {string} e.g. '.buwp-local.json#/servies: unknown property (did you mean "services"?)'
+ */
+export function formatIssue(issue) {
+  const hint = issue.suggestion !== null && issue.suggestion !== undefined
+    ? ` (did you mean ${JSON.stringify(issue.suggestion)}?)`
+    : '';
+  const location = issue.file ? `${issue.file}#${issue.pointer}` : issue.pointer || '/';
+  return `${location}: ${issue.message}${hint}`;
+}
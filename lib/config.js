@@ -4,13 +4,18 @@
  */
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
 import * as keychain from './keychain.js';
+import { validateAgainstSchema, formatIssue, SCHEMA_URL } from './config-schema.js';
+import { getGeneratedConstants, findDefinedConstants } from './compose-generator.js';
 
 const CONFIG_FILE_NAME = '.buwp-local.json';
+const LOCAL_CONFIG_FILE_NAME = '.buwp-local.local.json';
 const ENV_FILE_NAME = '.env.local';
+const USER_CONFIG_PATH = path.join(os.homedir(), '.buwp-local', 'config.json');
 
 /**
  * Default configuration
@@ -23,16 +28,21 @@ const DEFAULT_CONFIG = {
   services: {
     redis: true,
     s3proxy: true,
-    shibboleth: true
+    shibboleth: true,
+    mail: false,
+    dbadmin: false
   },
   ports: {
     http: 80,
     https: 443,
     db: 3306,
-    redis: 6379
+    redis: 6379,
+    mail: 8025,
+    dbadmin: 8082
   },
   mappings: [],
-  env: {}
+  env: {},
+  autoManageHosts: false
 };
 
 /**
@@ -41,21 +51,39 @@ const DEFAULT_CONFIG = {
  * @returns {object} Merged configuration
  */
 function loadConfig(projectPath = process.cwd()) {
-  const configPath = path.join(projectPath, CONFIG_FILE_NAME);
-  const envPath = path.join(projectPath, ENV_FILE_NAME);
-  
-  let userConfig = {};
-  let envVars = {};
+  const layers = loadConfigLayers(projectPath);
 
-  // Load config file if it exists
-  if (fs.existsSync(configPath)) {
-    try {
-      const configContent = fs.readFileSync(configPath, 'utf8');
-      userConfig = JSON.parse(configContent);
-    } catch (err) {
-      throw new Error(`Failed to parse ${CONFIG_FILE_NAME}: ${err.message}`);
-    }
+  // Merge configurations (priority: env vars > local overrides > project config > user defaults > defaults)
+  const config = mergeConfig(...layers.map(layer => layer.data));
+  delete config.$schema;
+  
+  // Auto-generate project name if not set
+  if (!config.projectName) {
+    config.projectName = getProjectName(projectPath);
   }
+  
+  // Sanitize project name (Docker project names must be lowercase alphanumeric + dash/underscore)
+  config.projectName = sanitizeProjectName(config.projectName);
+  
+  return config;
+}
+
+/**
+ * Load every configuration layer, lowest priority first
+ *   default - DEFAULT_CONFIG
+ *   user    - ~/.buwp-local/config.json (per-developer defaults, e.g. image, ports, env.TZ)
+ *   project - .buwp-local.json (committed team config)
+ *   local   - .buwp-local.local.json (personal overrides, git-ignored)
+ *   env     - credentials from .env.local
+ * @param {string} projectPath - Path to project directory
+ * @returns {object[]} Layers [{ name, label, path, data }]; path is set for JSON files only
+ */
+function loadConfigLayers(projectPath = process.cwd()) {
+  const projectConfigPath = path.join(projectPath, CONFIG_FILE_NAME);
+  const localConfigPath = path.join(projectPath, LOCAL_CONFIG_FILE_NAME);
+  const envPath = path.join(projectPath, ENV_FILE_NAME);
+
+  let envVars = {};
 
   // Load .env.local if it exists
   if (fs.existsSync(envPath)) {
@@ -67,18 +95,73 @@ function loadConfig(projectPath = process.cwd()) {
     }
   }
 
-  // Merge configurations (priority: env vars > user config > defaults)
-  const config = mergeConfig(DEFAULT_CONFIG, userConfig, envVars);
-  
-  // Auto-generate project name if not set
-  if (!config.projectName) {
-    config.projectName = getProjectName(projectPath);
+  return [
+    { name: 'default', label: 'default', path: null, data: DEFAULT_CONFIG },
+    { name: 'user', label: '~/.buwp-local/config.json', path: USER_CONFIG_PATH, data: readConfigFile(USER_CONFIG_PATH) },
+    { name: 'project', label: CONFIG_FILE_NAME, path: projectConfigPath, data: readConfigFile(projectConfigPath) },
+    { name: 'local', label: LOCAL_CONFIG_FILE_NAME, path: localConfigPath, data: readConfigFile(localConfigPath) },
+    { name: 'env', label: ENV_FILE_NAME, path: null, data: envVars }
+  ];
+}
+
+/**
+ * Read a JSON config file
+ * @param {string} filePath - Path to the file
+ * @returns {object} Parsed contents, or {} if the file does not exist
+ */
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
   }
-  
-  // Sanitize project name (Docker project names must be lowercase alphanumeric + dash/underscore)
-  config.projectName = sanitizeProjectName(config.projectName);
-  
-  return config;
+
+  try {
+    const configContent = fs.readFileSync(filePath, 'utf8');
+    return JSON.parse(configContent);
+  } catch (err) {
+    throw new Error(`Failed to parse ${path.basename(filePath)}: ${err.message}`);
+  }
+}
+
+/**
+ * Load the raw contents of a project config file, without defaults
+ * @param {string} projectPath - Path to project directory
+ * @param {string} fileName - CONFIG_FILE_NAME or LOCAL_CONFIG_FILE_NAME
+ * @returns {object} Parsed config file, or {} if there is none
+ */
+function loadUserConfig(projectPath = process.cwd(), fileName = CONFIG_FILE_NAME) {
+  return readConfigFile(path.join(projectPath, fileName));
+}
+
+/**
+ * Find the layer each resolved value comes from
+ * Objects merge key by key; any other value (including arrays) replaces what lower layers set.
+ * @param {object[]} layers - Result of loadConfigLayers()
+ * @returns {object} Map of JSON pointer to layer label, e.g. { '/ports/http': '.buwp-local.local.json' }
+ */
+function getConfigSources(layers) {
+  const sources = {};
+
+  const walk = (value, pointer, label) => {
+    if (isObject(value)) {
+      delete sources[pointer];
+      Object.entries(value).forEach(([key, child]) => walk(child, `${pointer}/${key}`, label));
+    } else if (value !== undefined) {
+      Object.keys(sources)
+        .filter(existing => existing.startsWith(`${pointer}/`))
+        .forEach(existing => delete sources[existing]);
+      sources[pointer] = label;
+    }
+  };
+
+  layers.forEach(layer => walk(layer.data, '', layer.label));
+  delete sources['/$schema'];
+
+  // No layer named the project, so loadConfig derives it from the directory
+  if (sources['/projectName'] === 'default') {
+    sources['/projectName'] = 'directory name';
+  }
+
+  return sources;
 }
 
 /**
@@ -161,49 +244,123 @@ function isObject(item) {
 
 /**
  * Validate configuration
- * @param {object} config - Configuration to validate
- * @returns {object} Validation result { valid: boolean, errors: string[] }
+ * Each config file layer is checked against the JSON Schema (unknown keys, wrong types);
+ * the resolved configuration is checked for things a schema can't know, like missing paths.
+ * @param {object} config - Resolved configuration to validate
+ * @param {object[]} layers - Layers from loadConfigLayers(); only JSON file layers are schema-checked
+ * @returns {object} Validation result { valid: boolean, errors: string[], issues: object[] }
  */
-function validateConfig(config) {
-  const errors = [];
+function validateConfig(config, layers = []) {
+  const issues = layers
+    .filter(layer => layer.path && fs.existsSync(layer.path))
+    .flatMap(layer => validateAgainstSchema(layer.data).map(issue => ({ file: layer.label, ...issue })));
+
+  // Point at the layer that set the value (or its closest parent), like the schema issues do
+  const sources = getConfigSources(layers);
+  const findSource = pointer => {
+    for (let current = pointer; current; current = current.slice(0, current.lastIndexOf('/'))) {
+      if (current in sources) {
+        return sources[current] === 'default' ? null : sources[current];
+      }
+    }
+    return null;
+  };
+
+  // Report each location once, preferring the schema's more specific message
+  const addIssue = (pointer, message) => {
+    if (!issues.some(issue => issue.pointer === pointer)) {
+      const file = findSource(pointer);
+      issues.push({ ...(file ? { file } : {}), pointer, message, suggestion: null });
+    }
+  };
 
   // Validate required fields
   if (!config.image) {
-    errors.push('Missing required field: image');
+    addIssue('/image', 'is required');
   }
 
   if (!config.hostname) {
-    errors.push('Missing required field: hostname');
+    addIssue('/hostname', 'is required');
   }
 
   // Validate mappings
   if (config.mappings && Array.isArray(config.mappings)) {
     config.mappings.forEach((mapping, index) => {
-      if (!mapping.local || !mapping.container) {
-        errors.push(`Mapping ${index} missing required fields (local, container)`);
+      if (!mapping.local) {
+        addIssue(`/mappings/${index}/local`, 'is required');
+      }
+      if (!mapping.container) {
+        addIssue(`/mappings/${index}/container`, 'is required');
       }
       
       if (mapping.local && !fs.existsSync(mapping.local)) {
-        errors.push(`Mapping ${index}: local path does not exist: ${mapping.local}`);
+        addIssue(`/mappings/${index}/local`, `local path does not exist: ${mapping.local}`);
+      }
+    });
+  }
+
+  // Validate workspace repos (the schema can't express "url or path")
+  if (config.workspace && Array.isArray(config.workspace.repos)) {
+    config.workspace.repos.forEach((repo, index) => {
+      if (!repo.url && !repo.path) {
+        addIssue(`/workspace/repos/${index}`, 'needs a url or a path');
+      }
+      if (!repo.type && !repo.container) {
+        addIssue(`/workspace/repos/${index}/type`, 'is required unless container is set');
       }
     });
   }
 
+  // Validate wp-config additions
+  if (config.wpConfig) {
+    validateWpConfig(config, addIssue);
+  }
+
   // Validate ports
   if (config.ports) {
     Object.entries(config.ports).forEach(([service, port]) => {
       if (typeof port !== 'number' || port < 1 || port > 65535) {
-        errors.push(`Invalid port for ${service}: ${port}`);
+        addIssue(`/ports/${service}`, `invalid port: ${port}`);
       }
     });
   }
 
   return {
-    valid: errors.length === 0,
-    errors
+    valid: issues.length === 0,
+    errors: issues.map(formatIssue),
+    issues
   };
 }
 
+/**
+ * Check wpConfig constants and snippets against the constants buwp-local defines itself
+ * Defining a constant twice is a PHP warning and the second value is ignored.
+ * @param {object} config - Resolved configuration
+ * @param {function} addIssue - Callback (pointer, message)
+ */
+function validateWpConfig(config, addIssue) {
+  const generated = new Set(getGeneratedConstants(config));
+  const { constants = {}, snippets = [] } = config.wpConfig;
+
+  Object.keys(constants).forEach(name => {
+    if (generated.has(name)) {
+      addIssue(`/wpConfig/constants/${name}`, 'collides with a constant buwp-local already defines');
+    }
+  });
+
+  (Array.isArray(snippets) ? snippets : []).forEach((snippet, index) => {
+    if (typeof snippet !== 'string' || !fs.existsSync(snippet)) {
+      addIssue(`/wpConfig/snippets/${index}`, `snippet file does not exist: ${snippet}`);
+      return;
+    }
+
+    const collisions = findDefinedConstants(fs.readFileSync(snippet, 'utf8')).filter(name => generated.has(name));
+    if (collisions.length > 0) {
+      addIssue(`/wpConfig/snippets/${index}`, `defines ${collisions.join(', ')}, already defined by buwp-local`);
+    }
+  });
+}
+
 /**
  * Initialize configuration file in project directory
  * @param {string} projectPath - Path to project directory
@@ -222,6 +379,7 @@ function initConfig(projectPath = process.cwd(), options = {}) {
 
   const projectName = getProjectName(projectPath);
   const exampleConfig = {
+    $schema: SCHEMA_URL,
     ...DEFAULT_CONFIG,
     projectName: projectName,
     hostname: `${projectName}.local`,
@@ -263,6 +421,20 @@ function initConfig(projectPath = process.cwd(), options = {}) {
   return configPath;
 }
 
+/**
+ * Update a project config file in place
+ * Only the raw file is changed, so values from other layers are never written back
+ * @param {string} projectPath - Project directory path
+ * @param {function} updater - Receives the parsed file contents and returns the new contents
+ * @param {string} fileName - CONFIG_FILE_NAME (shared) or LOCAL_CONFIG_FILE_NAME (personal)
+ * @returns {string} Path to the config file
+ */
+function updateConfigFile(projectPath, updater, fileName = CONFIG_FILE_NAME) {
+  const configPath = path.join(projectPath, fileName);
+  fs.writeFileSync(configPath, JSON.stringify(updater(loadUserConfig(projectPath, fileName)), null, 2) + '\n');
+  return configPath;
+}
+
 /**
  * Get project name from directory path
  * @param {string} projectPath - Path to project directory
@@ -286,24 +458,35 @@ function sanitizeProjectName(name) {
 }
 
 /**
- * Load credentials from macOS keychain
+ * Load credentials from the configured credential store
  * Returns all available credentials if present, with platform and keychain support checks
+ * @param {object} config - Resolved configuration (uses config.credentialStore and config.projectName)
  * @returns {object} Credentials object or empty object if not supported
  */
-export function loadKeychainCredentials() {
-  // Only load on macOS where keychain is supported
+export function loadKeychainCredentials(config = {}) {
+  keychain.configureBackend(config.credentialStore || 'auto');
+
+  // Only load where a backend is available (macOS Keychain, Linux Secret Service, encrypted file)
   if (!keychain.isPlatformSupported()) {
     return {};
   }
 
   const credentials = {};
   
-  // Try to load each known credential from keychain
-  for (const key of keychain.CREDENTIAL_KEYS) {
-    const value = keychain.getCredential(key);
-    if (value !== null) {
-      credentials[key] = value;
+  try {
+    // Try to load each known credential from keychain
+    // Project-scoped entries (buwp-local:<projectName>) take precedence over global ones
+    for (const key of keychain.CREDENTIAL_KEYS) {
+      const projectValue = config.projectName ? keychain.getCredential(key, config.projectName) : null;
+      const value = projectValue !== null ? projectValue : keychain.getCredential(key);
+      if (value !== null) {
+        credentials[key] = value;
+      }
     }
+  } catch (err) {
+    // A locked encrypted file shouldn't stop .env.local users from starting
+    console.warn(chalk.yellow(`⚠️  Warning: Could not load credentials: ${err.message}`));
+    return {};
   }
   
   return credentials;
@@ -378,9 +561,16 @@ export function secureDeleteTempEnvFile(filePath) {
 
 export {
   loadConfig,
+  loadConfigLayers,
+  loadUserConfig,
+  getConfigSources,
+  sanitizeProjectName,
   validateConfig,
   initConfig,
+  updateConfigFile,
   DEFAULT_CONFIG,
   CONFIG_FILE_NAME,
+  LOCAL_CONFIG_FILE_NAME,
+  USER_CONFIG_PATH,
   ENV_FILE_NAME
 };
@@ -0,0 +1,102 @@
+/**
+ * Credential agent - caches the encrypted credential file passphrase for a session
+ * Runs as a detached process listening on a user-only unix socket
+ *
+ * Usage (internal, see credential-store.js):
+ *   node credential-agent.js serve <socket> <timeoutMinutes>   (passphrase on stdin)
+ *   node credential-agent.js get <socket>                      (prints passphrase)
+ *   node credential-agent.js stop <socket>
+ */
+
+import net from 'net';
+import fs from 'fs';
+
+const [mode, socketPath, timeoutArg] = process.argv.slice(2);
+
+// setTimeout fires after 1 ms for delays above 2^31 - 1 ms (about 24.8 days), so long waits are re-armed
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Serve the passphrase until the timeout expires or a stop request arrives
+ */
+async function serve() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  const passphrase = Buffer.concat(chunks).toString('utf8');
+
+  const server = net.createServer(socket => {
+    socket.once('data', data => {
+      const request = data.toString().trim();
+      if (request === 'GET') {
+        socket.end(passphrase);
+      } else if (request === 'STOP') {
+        socket.end('OK');
+        shutdown();
+      } else {
+        socket.destroy();
+      }
+    });
+  });
+
+  const shutdown = () => {
+    server.close();
+    fs.rmSync(socketPath, { force: true });
+    process.exit(0);
+  };
+
+  // Only the current user may talk to the agent
+  const previousUmask = process.umask(0o177);
+  server.listen(socketPath, () => {
+    process.umask(previousUmask);
+    fs.chmodSync(socketPath, 0o600);
+  });
+
+  const timeoutMinutes = parseInt(timeoutArg, 10) || 480;
+  const deadline = Date.now() + timeoutMinutes * 60 * 1000;
+  const scheduleShutdown = () => {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      shutdown();
+      return;
+    }
+    setTimeout(scheduleShutdown, Math.min(remaining, MAX_TIMER_DELAY));
+  };
+  scheduleShutdown();
+
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+/**
+ * Send a request to a running agent and print the response
+ * @param {string} request - GET or STOP
+ */
+function request(request) {
+  const socket = net.createConnection(socketPath, () => {
+    socket.write(`${request}\n`);
+  });
+
+  const chunks = [];
+  socket.on('data', chunk => chunks.push(chunk));
+  socket.on('end', () => {
+    process.stdout.write(Buffer.concat(chunks));
+    process.exit(0);
+  });
+  socket.on('error', () => process.exit(1));
+}
+
+switch (mode) {
+  case 'serve':
+    serve();
+    break;
+  case 'get':
+    request('GET');
+    break;
+  case 'stop':
+    request('STOP');
+    break;
+  default:
+    process.exit(2);
+}
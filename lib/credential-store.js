@@ -0,0 +1,327 @@
+/**
+ * Encrypted-file credential store
+ * Keeps credentials in ~/.buwp-local/credentials.enc for machines without a system keychain
+ * (containers, CI runners, headless Linux). Contents are encrypted with AES-256-GCM under a
+ * key derived from a passphrase with scrypt.
+ *
+ * The passphrase is resolved from, in order:
+ *   1. This process (after unlockCredentialFile())
+ *   2. The BUWP_LOCAL_PASSPHRASE environment variable
+ *   3. A running credential agent (see credential-agent.js)
+ */
+
+import crypto from 'crypto';
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const USER_DIR = path.join(os.homedir(), '.buwp-local');
+
+export const CREDENTIAL_FILE_PATH = path.join(USER_DIR, 'credentials.enc');
+export const AGENT_SOCKET_PATH = path.join(USER_DIR, 'agent.sock');
+export const PASSPHRASE_ENV_VAR = 'BUWP_LOCAL_PASSPHRASE';
+
+const AGENT_SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'credential-agent.js');
+
+/**
+ * scrypt parameters for new files (stored in the file so they can change later)
+ */
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+// Unlocked state for this process: { passphrase, salt, key, entries }
+let unlocked = null;
+
+/**
+ * Derive an AES-256 key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Buffer} salt - Salt
+ * @param {object} params - scrypt parameters { N, r, p }
+ * @returns {Buffer} Key
+ */
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase, salt, KEY_LENGTH, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: 256 * params.N * params.r
+  });
+}
+
+/**
+ * Encrypt a string into a JSON-serializable envelope
+ * @param {string} plaintext - Data to encrypt
+ * @param {Buffer} key - AES-256 key
+ * @param {Buffer} salt - Salt the key was derived with
+ * @returns {object} Envelope { version, cipher, kdf, iv, tag, data }
+ */
+function sealEnvelope(plaintext, key, salt) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    version: 1,
+    cipher: 'aes-256-gcm',
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt an envelope produced by sealEnvelope()
+ * @param {object} envelope - Parsed envelope
+ * @param {string} passphrase - Passphrase
+ * @returns {object} { plaintext, salt, key }
+ * @throws {Error} If the envelope is malformed or the passphrase is wrong
+ */
+function openEnvelope(envelope, passphrase) {
+  if (!isEncryptedEnvelope(envelope)) {
+    throw new Error('Unsupported encrypted file format');
+  }
+
+  const salt = Buffer.from(envelope.kdf.salt, 'base64');
+  const key = deriveKey(passphrase, salt, envelope.kdf);
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+    return { plaintext, salt, key };
+  } catch (err) {
+    throw new Error('Incorrect passphrase');
+  }
+}
+
+/**
+ * Check if parsed JSON is an encrypted envelope
+ * @param {object} data - Parsed JSON
+ * @returns {boolean}
+ */
+export function isEncryptedEnvelope(data) {
+  return Boolean(data) && data.version === 1 && data.cipher === 'aes-256-gcm' && data.kdf?.name === 'scrypt';
+}
+
+/**
+ * Encrypt a string with a passphrase (fresh salt each time)
+ * @param {string} plaintext - Data to encrypt
+ * @param {string} passphrase - Passphrase
+ * @returns {object} Envelope
+ */
+export function encryptWithPassphrase(plaintext, passphrase) {
+  const salt = crypto.randomBytes(16);
+  return sealEnvelope(plaintext, deriveKey(passphrase, salt, SCRYPT_PARAMS), salt);
+}
+
+/**
+ * Decrypt an envelope with a passphrase
+ * @param {object} envelope - Parsed envelope
+ * @param {string} passphrase - Passphrase
+ * @returns {string} Plaintext
+ * @throws {Error} If the passphrase is wrong
+ */
+export function decryptWithPassphrase(envelope, passphrase) {
+  return openEnvelope(envelope, passphrase).plaintext;
+}
+
+/**
+ * Read and decrypt the credential file
+ * @param {string} passphrase - Passphrase
+ * @returns {object} { salt, key, entries } where entries is { [service]: { [key]: value } }
+ * @throws {Error} If the file is malformed or the passphrase is wrong
+ */
+function readFile(passphrase) {
+  let envelope;
+  try {
+    envelope = JSON.parse(fs.readFileSync(CREDENTIAL_FILE_PATH, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read ${CREDENTIAL_FILE_PATH}: ${err.message}`);
+  }
+
+  try {
+    const { plaintext, salt, key } = openEnvelope(envelope, passphrase);
+    return { salt, key, entries: JSON.parse(plaintext) };
+  } catch (err) {
+    throw new Error(`${err.message} for encrypted credential file`);
+  }
+}
+
+/**
+ * Encrypt and write the credential file atomically with 0600 permissions
+ * @param {object} state - Unlocked state { salt, key, entries }
+ */
+function writeFile(state) {
+  const envelope = sealEnvelope(JSON.stringify(state.entries), state.key, state.salt);
+
+  fs.mkdirSync(USER_DIR, { recursive: true, mode: 0o700 });
+  const tempPath = `${CREDENTIAL_FILE_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(envelope, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tempPath, CREDENTIAL_FILE_PATH);
+}
+
+/**
+ * Check if the encrypted credential file exists
+ * @returns {boolean}
+ */
+export function credentialFileExists() {
+  return fs.existsSync(CREDENTIAL_FILE_PATH);
+}
+
+/**
+ * Unlock the credential file for this process
+ * Creates an empty file protected by the passphrase if none exists yet
+ * @param {string} passphrase - Passphrase
+ * @throws {Error} If the passphrase is wrong
+ */
+export function unlockCredentialFile(passphrase) {
+  if (credentialFileExists()) {
+    unlocked = { passphrase, ...readFile(passphrase) };
+    return;
+  }
+
+  const salt = crypto.randomBytes(16);
+  unlocked = { passphrase, salt, key: deriveKey(passphrase, salt, SCRYPT_PARAMS), entries: {} };
+  writeFile(unlocked);
+}
+
+/**
+ * Check if the credential file can be used without prompting
+ * Tries the environment variable and the agent if this process is not unlocked yet
+ * @returns {boolean}
+ */
+export function isCredentialFileUnlocked() {
+  if (unlocked) {
+    return true;
+  }
+
+  const passphrase = process.env[PASSPHRASE_ENV_VAR] || getAgentPassphrase();
+  if (!passphrase) {
+    return false;
+  }
+
+  try {
+    unlockCredentialFile(passphrase);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Get the unlocked state, throwing if no passphrase is available
+ * @returns {object} Unlocked state
+ */
+function requireUnlocked() {
+  if (!isCredentialFileUnlocked()) {
+    throw new Error(`Encrypted credential file is locked. Run "buwp-local keychain unlock" or set ${PASSPHRASE_ENV_VAR}`);
+  }
+  return unlocked;
+}
+
+/**
+ * Ask a running agent for the cached passphrase
+ * @returns {string|null} Passphrase or null if no agent is running
+ */
+function getAgentPassphrase() {
+  if (!fs.existsSync(AGENT_SOCKET_PATH)) {
+    return null;
+  }
+
+  const result = spawnSync(process.execPath, [AGENT_SCRIPT, 'get', AGENT_SOCKET_PATH], {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: 5000
+  });
+
+  return result.status === 0 && result.stdout ? result.stdout : null;
+}
+
+/**
+ * Start a background agent that caches the passphrase for the session
+ * @param {string} passphrase - Passphrase to cache
+ * @param {number} timeoutMinutes - Minutes before the agent exits
+ */
+export function startAgent(passphrase, timeoutMinutes) {
+  stopAgent();
+  fs.mkdirSync(USER_DIR, { recursive: true, mode: 0o700 });
+
+  // Passphrase goes over stdin so it never appears in the process list
+  const child = spawn(process.execPath, [AGENT_SCRIPT, 'serve', AGENT_SOCKET_PATH, String(timeoutMinutes)], {
+    detached: true,
+    stdio: ['pipe', 'ignore', 'ignore']
+  });
+  child.stdin.end(passphrase);
+  child.unref();
+}
+
+/**
+ * Stop the background agent, if one is running
+ * @returns {boolean} True if an agent was stopped
+ */
+export function stopAgent() {
+  if (!fs.existsSync(AGENT_SOCKET_PATH)) {
+    return false;
+  }
+
+  const result = spawnSync(process.execPath, [AGENT_SCRIPT, 'stop', AGENT_SOCKET_PATH], {
+    stdio: 'ignore',
+    timeout: 5000
+  });
+
+  // Remove a stale socket left by an agent that did not shut down cleanly
+  fs.rmSync(AGENT_SOCKET_PATH, { force: true });
+  return result.status === 0;
+}
+
+/**
+ * Lock the credential file for this process
+ */
+export function lockCredentialFile() {
+  unlocked = null;
+}
+
+/**
+ * Encrypted-file credential backend
+ * Same interface as the system keychain backends in keychain.js
+ */
+export const encryptedFileBackend = {
+  name: 'file',
+  label: `Encrypted file (${CREDENTIAL_FILE_PATH})`,
+
+  isAvailable() {
+    return true;
+  },
+
+  set(service, key, value) {
+    const state = requireUnlocked();
+    state.entries[service] = { ...state.entries[service], [key]: value };
+    writeFile(state);
+  },
+
+  get(service, key) {
+    const value = requireUnlocked().entries[service]?.[key];
+    return value === undefined ? null : value;
+  },
+
+  has(service, key) {
+    if (!credentialFileExists() || !isCredentialFileUnlocked()) {
+      return false;
+    }
+    return unlocked.entries[service]?.[key] !== undefined;
+  },
+
+  delete(service, key) {
+    const state = requireUnlocked();
+    if (state.entries[service] && key in state.entries[service]) {
+      delete state.entries[service][key];
+      writeFile(state);
+    }
+  }
+};
@@ -0,0 +1,119 @@
+/**
+ * Docker helpers shared by commands that inspect a running project
+ */
+
+import { execSync, spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * Read the service names from the generated compose file
+ * @param {string} composePath - Generated compose file
+ * @returns {string[]} Service names in file order
+ */
+export function readComposeServices(composePath) {
+  const compose = yaml.load(fs.readFileSync(composePath, 'utf8')) || {};
+  return Object.keys(compose.services || {});
+}
+
+/**
+ * Check if the Docker daemon is reachable
+ * @returns {boolean}
+ */
+export function isDockerRunning() {
+  try {
+    execSync('docker info', { stdio: 'ignore' });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Parse `docker compose ps --format json` output
+ * Older Compose versions print a JSON array, newer ones one object per line
+ * @param {string} output - Command output
+ * @returns {object[]} Container entries
+ */
+export function parseComposePs(output) {
+  const trimmed = output.trim();
+  if (!trimmed) {
+    return [];
+  }
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed);
+  }
+  return trimmed.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * List the containers of a Compose project, including stopped ones
+ * @param {string} projectName - Docker Compose project name
+ * @param {string} composePath - Generated compose file
+ * @returns {object[]} Entries with Service, Name, State, Health, Publishers...
+ */
+export function getComposeContainers(projectName, composePath) {
+  const output = execSync(
+    `docker compose -p ${projectName} -f "${composePath}" ps --all --format json`,
+    { cwd: path.dirname(composePath), encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }
+  );
+  return parseComposePs(output);
+}
+
+/**
+ * Get the most recent log lines of a Compose service
+ * @param {string} projectName - Docker Compose project name
+ * @param {string} composePath - Generated compose file
+ * @param {string} service - Service name
+ * @param {number} tail - Number of lines
+ * @returns {string} Log output (empty if unavailable)
+ */
+export function getServiceLogs(projectName, composePath, service, tail = 50) {
+  try {
+    return execSync(
+      `docker compose -p ${projectName} -f "${composePath}" logs --no-color --tail ${tail} ${service}`,
+      { cwd: path.dirname(composePath), encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }
+    );
+  } catch (err) {
+    return err.stdout || '';
+  }
+}
+
+/**
+ * List the domains of every site in a running multisite network
+ * @param {string} projectName - Docker Compose project name
+ * @param {string} composePath - Generated compose file
+ * @returns {string[]} Domains, empty if WordPress is not running or WP-CLI fails
+ */
+export function getSiteDomains(projectName, composePath) {
+  let wordpress;
+  try {
+    wordpress = getComposeContainers(projectName, composePath).find(container => container.Service === 'wordpress');
+  } catch (err) {
+    return [];
+  }
+
+  if (!wordpress || wordpress.State !== 'running') {
+    return [];
+  }
+
+  const result = spawnSync(
+    'docker',
+    [
+      'compose',
+      '-p', projectName,
+      '-f', composePath,
+      'exec', '-T',
+      'wordpress',
+      'wp', 'site', 'list', '--field=domain', '--skip-plugins', '--skip-themes'
+    ],
+    { cwd: path.dirname(composePath), encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 60000 }
+  );
+
+  if (result.status !== 0 || !result.stdout) {
+    return [];
+  }
+
+  return result.stdout.split('\n').map(domain => domain.trim()).filter(Boolean);
+}
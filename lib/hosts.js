@@ -0,0 +1,195 @@
+/**
+ * Hosts file management
+ * Keeps buwp-local entries in one delimited block of the hosts file, each line tagged
+ * with the project it belongs to, so entries can be removed per project without touching
+ * anything the user added by hand.
+ */
+
+import fs from 'fs';
+
+export const HOSTS_FILE_PATH = process.platform === 'win32'
+  ? 'C:\\Windows\\System32\\drivers\\etc\\hosts'
+  : '/etc/hosts';
+
+export const BLOCK_START = '# >>> buwp-local >>> (managed by "buwp-local hosts", do not edit)';
+export const BLOCK_END = '# <<< buwp-local <<<';
+
+const LOOPBACK = '127.0.0.1';
+
+/**
+ * Find the hostnames a line maps, ignoring comments
+ * @param {string} line - Hosts file line
+ * @returns {string[]} Hostnames (empty for comments and blank lines)
+ */
+function lineHostnames(line) {
+  const parts = line.replace(/#.*/, '').trim().split(/\s+/);
+  return parts.length >= 2 ? parts.slice(1) : [];
+}
+
+/**
+ * Split hosts file content into the managed block and everything else
+ * @param {string} content - Hosts file content
+ * @returns {object} { before, entries, after } where entries are { ip, hostname, project }
+ */
+export function parseHostsFile(content) {
+  const lines = content.split('\n');
+  const start = lines.indexOf(BLOCK_START);
+  const end = start === -1 ? -1 : lines.indexOf(BLOCK_END, start);
+
+  if (start === -1 || end === -1) {
+    return { before: lines, entries: [], after: [] };
+  }
+
+  const entries = lines.slice(start + 1, end).map(line => {
+    const match = line.match(/^\s*(\S+)\s+(\S+)\s*(?:#\s*(\S+))?/);
+    return match ? { ip: match[1], hostname: match[2], project: match[3] || null } : null;
+  }).filter(Boolean);
+
+  return { before: lines.slice(0, start), entries, after: lines.slice(end + 1) };
+}
+
+/**
+ * Assemble hosts file content from its parts
+ * The block is left out entirely when it has no entries.
+ * @param {object} parts - { before, entries, after } from parseHostsFile()
+ * @returns {string} Hosts file content
+ */
+export function formatHostsFile({ before, entries, after }) {
+  // Drop the blank separator line written in front of the block
+  const head = before.length > 0 && before[before.length - 1] === '' ? before.slice(0, -1) : before;
+  const tail = after.length > 0 ? after : [''];
+
+  if (entries.length === 0) {
+    return [...head, ...tail].join('\n');
+  }
+
+  const width = Math.max(...entries.map(entry => entry.ip.length));
+  const block = [
+    BLOCK_START,
+    ...entries.map(entry => `${entry.ip.padEnd(width)} ${entry.hostname}${entry.project ? ` # ${entry.project}` : ''}`),
+    BLOCK_END
+  ];
+
+  return [...head, ...(head.length > 0 ? [''] : []), ...block, ...tail].join('\n');
+}
+
+/**
+ * Read the hosts file
+ * @param {string} hostsPath - Hosts file path
+ * @returns {string} Content
+ */
+export function readHostsFile(hostsPath = HOSTS_FILE_PATH) {
+  return fs.readFileSync(hostsPath, 'utf8');
+}
+
+/**
+ * Check if a hostname exists in the hosts file, inside or outside the managed block
+ * @param {string} hostname - Hostname to check
+ * @param {string} hostsPath - Hosts file path
+ * @returns {object} { found: boolean, managed?: boolean, error?: string }
+ */
+export function checkHostsFile(hostname, hostsPath = HOSTS_FILE_PATH) {
+  try {
+    const content = readHostsFile(hostsPath);
+    const { entries } = parseHostsFile(content);
+
+    if (entries.some(entry => entry.hostname === hostname)) {
+      return { found: true, managed: true };
+    }
+
+    const found = content.split('\n').some(line => lineHostnames(line).includes(hostname));
+    return { found, managed: false };
+  } catch (error) {
+    // Hosts file not readable (unlikely on macOS)
+    return { found: false, error: error.message };
+  }
+}
+
+/**
+ * Compute the hosts file after adding entries for a project
+ * Hostnames already mapped elsewhere in the file are left alone.
+ * @param {string} content - Current hosts file content
+ * @param {string} project - Project name the entries belong to
+ * @param {string[]} hostnames - Hostnames to add
+ * @returns {object} { content, added: string[] }
+ */
+export function addHostEntries(content, project, hostnames) {
+  const parts = parseHostsFile(content);
+  const outside = new Set([...parts.before, ...parts.after].flatMap(lineHostnames));
+  const inside = new Set(parts.entries.map(entry => entry.hostname));
+
+  const added = [...new Set(hostnames)].filter(hostname => !outside.has(hostname) && !inside.has(hostname));
+  if (added.length === 0) {
+    return { content, added };
+  }
+
+  const entries = [...parts.entries, ...added.map(hostname => ({ ip: LOOPBACK, hostname, project }))];
+  return { content: formatHostsFile({ ...parts, entries }), added };
+}
+
+/**
+ * Compute the hosts file after removing a project's entries
+ * @param {string} content - Current hosts file content
+ * @param {string} project - Project name
+ * @param {string[]|null} hostnames - Only remove these hostnames (default: all of the project's)
+ * @returns {object} { content, removed: string[] }
+ */
+export function removeHostEntries(content, project, hostnames = null) {
+  const parts = parseHostsFile(content);
+  const matches = entry => entry.project === project && (!hostnames || hostnames.includes(entry.hostname));
+
+  const removed = parts.entries.filter(matches).map(entry => entry.hostname);
+  if (removed.length === 0) {
+    return { content, removed };
+  }
+
+  return { content: formatHostsFile({ ...parts, entries: parts.entries.filter(entry => !matches(entry)) }), removed };
+}
+
+/**
+ * Get the managed entries that belong to a project
+ * @param {string} content - Hosts file content
+ * @param {string} project - Project name
+ * @returns {string[]} Hostnames
+ */
+export function getProjectHostEntries(content, project) {
+  return parseHostsFile(content).entries
+    .filter(entry => entry.project === project)
+    .map(entry => entry.hostname);
+}
+
+/**
+ * Hostnames a project needs: its hostname plus subdomain subsites of a running multisite
+ * Other subsite domains are skipped, since they may be real sites that an imported database
+ * still points at.
+ * @param {object} config - Resolved configuration
+ * @param {string[]} siteDomains - Domains from the running network (see docker.js getSiteDomains)
+ * @returns {string[]} Hostnames
+ */
+export function getProjectHostnames(config, siteDomains = []) {
+  const subdomains = siteDomains.filter(domain => domain.endsWith(`.${config.hostname}`));
+  return [...new Set([config.hostname, ...subdomains])];
+}
+
+/**
+ * Check if the current user can write the hosts file
+ * @param {string} hostsPath - Hosts file path
+ * @returns {boolean}
+ */
+export function canWriteHostsFile(hostsPath = HOSTS_FILE_PATH) {
+  try {
+    fs.accessSync(hostsPath, fs.constants.W_OK);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Write the hosts file in place, keeping its owner and permissions
+ * @param {string} content - New content
+ * @param {string} hostsPath - Hosts file path
+ */
+export function writeHostsFile(content, hostsPath = HOSTS_FILE_PATH) {
+  fs.writeFileSync(hostsPath, content, 'utf8');
+}
@@ -0,0 +1,375 @@
+/**
+ * IDE debug configuration
+ * Builds Xdebug path mappings (container path → host path) from config.mappings and merges
+ * them into VS Code, PhpStorm and Zed project files, leaving everything else in those files alone.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const XDEBUG_PORT = 9003;
+export const SUPPORTED_IDES = ['vscode', 'phpstorm', 'zed'];
+
+/**
+ * Name of the launch configuration / server / debug scenario buwp-local owns
+ */
+export const DEBUG_CONFIG_NAME = 'Listen for Xdebug (buwp-local)';
+
+/**
+ * Resolve config.mappings into absolute host paths
+ * Longer container paths come first so the most specific mapping wins in every IDE.
+ * @param {object} config - Resolved configuration
+ * @param {string} projectPath - Project directory
+ * @returns {object[]} [{ container, local, relative }] where relative is null outside the project
+ */
+export function resolveMappings(config, projectPath) {
+  return (config.mappings || [])
+    .map(mapping => {
+      const local = path.resolve(projectPath, mapping.local);
+      const relative = path.relative(projectPath, local);
+      const inside = relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+      return { container: mapping.container.replace(/\/+$/, '') || '/', local, relative: inside ? relative : null };
+    })
+    .sort((a, b) => b.container.length - a.container.length);
+}
+
+/**
+ * Parse JSON that may contain comments and trailing commas (VS Code's JSONC)
+ * @param {string} text - File content
+ * @returns {object} { data, hadComments }
+ */
+export function parseJsonc(text) {
+  let output = '';
+  let hadComments = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '"') {
+      // Copy strings verbatim, including escaped quotes
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      output += text.slice(i, end + 1);
+      i = end + 1;
+    } else if (char === '/' && text[i + 1] === '/') {
+      hadComments = true;
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (char === '/' && text[i + 1] === '*') {
+      hadComments = true;
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      output += char;
+      i++;
+    }
+  }
+
+  return { data: JSON.parse(output.replace(/,(\s*[}\]])/g, '$1')), hadComments };
+}
+
+/**
+ * Read a JSON(C) file, or return a default when it doesn't exist
+ * @param {string} filePath - File path
+ * @param {*} fallback - Value when the file is missing or empty
+ * @returns {object} { data, hadComments }
+ */
+function readJsonFile(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    return { data: fallback, hadComments: false };
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (!text.trim()) {
+    return { data: fallback, hadComments: false };
+  }
+
+  try {
+    return parseJsonc(text);
+  } catch (err) {
+    throw new Error(`Failed to parse ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Replace the buwp-local entry in a list, or append it
+ * @param {object[]} list - Existing entries
+ * @param {object} entry - New entry
+ * @param {string} key - Property holding the entry name
+ * @returns {object[]}
+ */
+function upsertByName(list, entry, key) {
+  const entries = Array.isArray(list) ? [...list] : [];
+  const index = entries.findIndex(existing => existing && existing[key] === entry[key]);
+  if (index === -1) {
+    entries.push(entry);
+  } else {
+    entries[index] = entry;
+  }
+  return entries;
+}
+
+/**
+ * Build VS Code workspace folders for mappings outside the project directory
+ * @param {object[]} mappings - From resolveMappings()
+ * @param {string} projectPath - Project directory
+ * @param {string} projectName - Name for the project folder
+ * @returns {object[]} [{ name, path (absolute) }], project folder first
+ */
+function buildWorkspaceFolders(mappings, projectPath, projectName) {
+  const folders = [{ name: projectName, path: projectPath }];
+
+  mappings.filter(mapping => mapping.relative === null).forEach(mapping => {
+    if (folders.some(folder => folder.path === mapping.local)) {
+      return;
+    }
+    let name = path.basename(mapping.local);
+    for (let n = 2; folders.some(folder => folder.name === name); n++) {
+      name = `${path.basename(mapping.local)}-${n}`;
+    }
+    folders.push({ name, path: mapping.local });
+  });
+
+  return folders;
+}
+
+/**
+ * Build the VS Code php-debug launch configuration
+ * @param {object[]} mappings - From resolveMappings()
+ * @param {object[]|null} folders - Workspace folders for a multi-root workspace, or null
+ * @returns {object} Launch configuration
+ */
+function buildVscodeLaunchConfig(mappings, folders) {
+  const pathMappings = {};
+
+  mappings.forEach(mapping => {
+    if (!folders) {
+      pathMappings[mapping.container] = mapping.relative ? `\${workspaceFolder}/${mapping.relative}` : '${workspaceFolder}';
+      return;
+    }
+
+    const folder = mapping.relative === null
+      ? folders.find(candidate => candidate.path === mapping.local)
+      : folders[0];
+    const suffix = mapping.relative ? `/${mapping.relative}` : '';
+    pathMappings[mapping.container] = `\${workspaceFolder:${folder.name}}${suffix}`;
+  });
+
+  return {
+    name: DEBUG_CONFIG_NAME,
+    type: 'php',
+    request: 'launch',
+    port: XDEBUG_PORT,
+    pathMappings
+  };
+}
+
+/**
+ * Write VS Code debug configuration
+ * Uses .vscode/launch.json when every mapping is inside the project, otherwise a
+ * <projectName>.code-workspace file with one folder per mapped repository.
+ * @param {object} config - Resolved configuration
+ * @param {string} projectPath - Project directory
+ * @returns {object[]} Written files [{ path, hadComments }]
+ */
+function writeVscodeConfig(config, projectPath) {
+  const mappings = resolveMappings(config, projectPath);
+  const multiRoot = mappings.some(mapping => mapping.relative === null);
+
+  if (!multiRoot) {
+    const launchPath = path.join(projectPath, '.vscode', 'launch.json');
+    const { data, hadComments } = readJsonFile(launchPath, {});
+    const launch = {
+      ...data,
+      version: data.version || '0.2.0',
+      configurations: upsertByName(data.configurations, buildVscodeLaunchConfig(mappings, null), 'name')
+    };
+
+    fs.mkdirSync(path.dirname(launchPath), { recursive: true });
+    fs.writeFileSync(launchPath, JSON.stringify(launch, null, 2) + '\n');
+    return [{ path: launchPath, hadComments }];
+  }
+
+  const workspacePath = path.join(projectPath, `${config.projectName}.code-workspace`);
+  const { data, hadComments } = readJsonFile(workspacePath, {});
+  const folders = buildWorkspaceFolders(mappings, projectPath, config.projectName);
+
+  // Keep folders the user added; add ours by path
+  const existingFolders = Array.isArray(data.folders) ? data.folders : [];
+  const resolvedExisting = existingFolders.map(folder => path.resolve(projectPath, folder.path || '.'));
+  const mergedFolders = [...existingFolders];
+  folders.forEach(folder => {
+    const index = resolvedExisting.indexOf(folder.path);
+    if (index === -1) {
+      mergedFolders.push({ name: folder.name, path: path.relative(projectPath, folder.path) || '.' });
+    } else {
+      // Reference the folder by the name it already has
+      folder.name = existingFolders[index].name || path.basename(folder.path);
+    }
+  });
+
+  const launch = data.launch || {};
+  const workspace = {
+    ...data,
+    folders: mergedFolders,
+    launch: {
+      ...launch,
+      version: launch.version || '0.2.0',
+      configurations: upsertByName(launch.configurations, buildVscodeLaunchConfig(mappings, folders), 'name')
+    }
+  };
+
+  fs.writeFileSync(workspacePath, JSON.stringify(workspace, null, 2) + '\n');
+  return [{ path: workspacePath, hadComments }];
+}
+
+/**
+ * Escape a value for an XML attribute
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function xmlAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Build the PhpStorm server element holding the path mappings
+ * Mappings inside the project use $PROJECT_DIR$; others keep absolute paths.
+ * @param {object} config - Resolved configuration
+ * @param {object[]} mappings - From resolveMappings()
+ * @returns {string} XML
+ */
+function buildPhpStormServer(config, mappings) {
+  const lines = mappings.map(mapping => {
+    const local = mapping.relative === null
+      ? mapping.local
+      : `$PROJECT_DIR$${mapping.relative ? `/${mapping.relative}` : ''}`;
+    return `          <mapping local-root="${xmlAttribute(local)}" remote-root="${xmlAttribute(mapping.container)}" />`;
+  });
+
+  return [
+    `      <server host="${xmlAttribute(config.hostname)}" name="${xmlAttribute(config.hostname)}" port="${config.ports.https}" use_path_mappings="true">`,
+    '        <path_mappings>',
+    ...lines,
+    '        </path_mappings>',
+    '      </server>'
+  ].join('\n');
+}
+
+/**
+ * Write PhpStorm debug configuration
+ * Adds a PHP server named after the hostname to .idea/workspace.xml (replacing only that
+ * server) and a PHP Remote Debug run configuration in .idea/runConfigurations/.
+ * @param {object} config - Resolved configuration
+ * @param {string} projectPath - Project directory
+ * @returns {object[]} Written files [{ path }]
+ */
+function writePhpStormConfig(config, projectPath) {
+  const mappings = resolveMappings(config, projectPath);
+  const ideaDir = path.join(projectPath, '.idea');
+  const workspacePath = path.join(ideaDir, 'workspace.xml');
+  const server = buildPhpStormServer(config, mappings);
+
+  let xml = fs.existsSync(workspacePath)
+    ? fs.readFileSync(workspacePath, 'utf8')
+    : '<?xml version="1.0" encoding="UTF-8"?>\n<project version="4">\n</project>\n';
+
+  const serverPattern = new RegExp(`[ \\t]*<server\\b[^>]*\\bname="${escapeRegExp(xmlAttribute(config.hostname))}"[^>]*?(?:/>|>[\\s\\S]*?</server>)`);
+  const componentPattern = /<component name="PhpServers"\s*>([\s\S]*?)<\/component>/;
+
+  if (serverPattern.test(xml)) {
+    xml = xml.replace(serverPattern, server);
+  } else if (componentPattern.test(xml)) {
+    xml = xml.replace(componentPattern, (component, body) => {
+      if (body.includes('</servers>')) {
+        return component.replace('</servers>', `${server}\n    </servers>`);
+      }
+      return `<component name="PhpServers">\n    <servers>\n${server}\n    </servers>\n  </component>`;
+    });
+  } else if (xml.includes('</project>')) {
+    xml = xml.replace('</project>', `  <component name="PhpServers">\n    <servers>\n${server}\n    </servers>\n  </component>\n</project>`);
+  } else {
+    throw new Error(`Unexpected format in ${workspacePath}`);
+  }
+
+  fs.mkdirSync(ideaDir, { recursive: true });
+  fs.writeFileSync(workspacePath, xml);
+
+  const runConfigPath = path.join(ideaDir, 'runConfigurations', 'buwp_local_Xdebug.xml');
+  fs.mkdirSync(path.dirname(runConfigPath), { recursive: true });
+  fs.writeFileSync(runConfigPath, [
+    '<component name="ProjectRunConfigurationManager">',
+    `  <configuration default="false" name="${xmlAttribute(DEBUG_CONFIG_NAME)}" type="PhpRemoteDebugRunConfigurationType" factoryName="PHP Remote Debug" filter_connections="FILTER" server_name="${xmlAttribute(config.hostname)}" session_id="PHPSTORM">`,
+    '    <method v="2" />',
+    '  </configuration>',
+    '</component>',
+    ''
+  ].join('\n'));
+
+  return [{ path: workspacePath }, { path: runConfigPath }];
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Write Zed debug configuration (.zed/debug.json)
+ * Zed opens one worktree at a time, so mappings outside the project use absolute paths.
+ * @param {object} config - Resolved configuration
+ * @param {string} projectPath - Project directory
+ * @returns {object[]} Written files [{ path, hadComments }]
+ */
+function writeZedConfig(config, projectPath) {
+  const mappings = resolveMappings(config, projectPath);
+  const debugPath = path.join(projectPath, '.zed', 'debug.json');
+  const { data, hadComments } = readJsonFile(debugPath, []);
+
+  const pathMappings = {};
+  mappings.forEach(mapping => {
+    if (mapping.relative === null) {
+      pathMappings[mapping.container] = mapping.local;
+    } else {
+      pathMappings[mapping.container] = `$ZED_WORKTREE_ROOT${mapping.relative ? `/${mapping.relative}` : ''}`;
+    }
+  });
+
+  const scenario = {
+    label: DEBUG_CONFIG_NAME,
+    adapter: 'Xdebug',
+    request: 'launch',
+    port: XDEBUG_PORT,
+    pathMappings
+  };
+
+  fs.mkdirSync(path.dirname(debugPath), { recursive: true });
+  fs.writeFileSync(debugPath, JSON.stringify(upsertByName(data, scenario, 'label'), null, 2) + '\n');
+  return [{ path: debugPath, hadComments }];
+}
+
+/**
+ * Write debug configuration for an IDE
+ * @param {string} ide - vscode, phpstorm or zed
+ * @param {object} config - Resolved configuration
+ * @param {string} projectPath - Project directory
+ * @returns {object[]} Written files [{ path, hadComments? }]
+ */
+export function writeIdeConfig(ide, config, projectPath) {
+  switch (ide) {
+    case 'vscode':
+      return writeVscodeConfig(config, projectPath);
+    case 'phpstorm':
+      return writePhpStormConfig(config, projectPath);
+    case 'zed':
+      return writeZedConfig(config, projectPath);
+    default:
+      throw new Error(`Unknown IDE "${ide}" (expected one of: ${SUPPORTED_IDES.join(', ')})`);
+  }
+}
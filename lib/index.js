@@ -12,6 +12,7 @@ export const validateConfig = config.validateConfig;
 export const initConfig = config.initConfig;
 export const generateComposeConfig = composeGenerator.generateComposeConfig;
 export const generateComposeFile = composeGenerator.generateComposeFile;
+export const buildComposeConfig = composeGenerator.buildComposeConfig;
 export const CONFIG_FILE_NAME = config.CONFIG_FILE_NAME;
 export const ENV_FILE_NAME = config.ENV_FILE_NAME;
 export const DEFAULT_CONFIG = config.DEFAULT_CONFIG;
@@ -1,12 +1,18 @@
 /**
- * macOS Keychain integration for secure credential storage
- * Uses the `security` command-line tool to interact with macOS Keychain
+ * System keychain integration for secure credential storage
+ * Credentials are stored through a platform backend:
+ *   - macOS: Keychain, via the `security` command-line tool
+ *   - Linux: freedesktop Secret Service (GNOME Keyring, KWallet), via `secret-tool`
+ *   - Anywhere: passphrase-encrypted file (opt-in, see credential-store.js)
  */
 
-import { execSync } from 'child_process';
+import { execFileSync, spawnSync } from 'child_process';
 import fs from 'fs';
+import os from 'os';
+import { encryptedFileBackend, isEncryptedEnvelope, encryptWithPassphrase, decryptWithPassphrase } from './credential-store.js';
 
 // Keychain service name for all buwp-local credentials
+// Project-scoped credentials use `buwp-local:<projectName>`
 const KEYCHAIN_SERVICE = 'buwp-local';
 
 /**
@@ -66,12 +72,245 @@ export const CREDENTIAL_DESCRIPTIONS = {
   OLAP_REGION: 'OLAP region'
 };
 
+/**
+ * macOS Keychain backend
+ * Uses the `security` command-line tool
+ */
+const macosBackend = {
+  name: 'macos',
+  label: 'macOS Keychain',
+
+  isAvailable() {
+    return process.platform === 'darwin';
+  },
+
+  set(service, key, value) {
+    // Use -U flag to update if exists, create if doesn't
+    // -w flag allows password on command line (needed for automation)
+    // Arguments are passed as argv, so quotes and $ in values reach the keychain unchanged
+    execFileSync(
+      'security',
+      ['add-generic-password', '-s', service, '-a', key, '-w', value, '-U'],
+      { stdio: 'pipe' }
+    );
+  },
+
+  get(service, key) {
+    try {
+      // -w flag returns only the password (no other metadata)
+      let result = execFileSync(
+        'security',
+        ['find-generic-password', '-s', service, '-a', key, '-w'],
+        { stdio: 'pipe', encoding: 'utf8' }
+      );
+      result = result.trim();
+
+      // Handle hex-encoded values (legacy format for multiline credentials)
+      // Check if the value looks like hex (only hex digits, even length)
+      if (isMultilineCredential(key) && isHexEncoded(result)) {
+        try {
+          result = Buffer.from(result, 'hex').toString('utf8');
+        } catch (err) {
+          // If hex decode fails, return original value
+          console.warn(`Warning: Could not decode hex-encoded credential ${key}`);
+        }
+      }
+
+      return result;
+    } catch (err) {
+      // Credential not found
+      if (isNotFoundError(err)) {
+        return null;
+      }
+      throw err;
+    }
+  },
+
+  has(service, key) {
+    try {
+      execFileSync(
+        'security',
+        ['find-generic-password', '-s', service, '-a', key],
+        { stdio: 'pipe' }
+      );
+      return true;
+    } catch (err) {
+      return false;
+    }
+  },
+
+  delete(service, key) {
+    try {
+      execFileSync(
+        'security',
+        ['delete-generic-password', '-s', service, '-a', key],
+        { stdio: 'pipe' }
+      );
+    } catch (err) {
+      // Ignore if credential doesn't exist
+      if (!isNotFoundError(err)) {
+        throw err;
+      }
+    }
+  }
+};
+
+/**
+ * Check if a `security` error means the keychain item does not exist
+ * @param {Error} err - Error thrown by execFileSync
+ * @returns {boolean}
+ */
+function isNotFoundError(err) {
+  return `${err.message}${err.stderr || ''}`.includes('could not be found');
+}
+
+/**
+ * freedesktop Secret Service backend (GNOME Keyring, KWallet, KeePassXC)
+ * Uses `secret-tool` from libsecret; entries are keyed by service + account attributes
+ */
+const secretServiceBackend = {
+  name: 'secret-service',
+  label: 'Secret Service (secret-tool)',
+
+  isAvailable() {
+    if (process.platform !== 'linux') {
+      return false;
+    }
+    // secret-tool exits non-zero without arguments, so only a missing binary counts as unavailable
+    const result = spawnSync('secret-tool', [], { stdio: 'ignore' });
+    return !(result.error && result.error.code === 'ENOENT');
+  },
+
+  set(service, key, value) {
+    // Value is passed on stdin so it never appears in the process list
+    execFileSync(
+      'secret-tool',
+      ['store', `--label=${service} ${key}`, 'service', service, 'account', key],
+      { input: value, stdio: ['pipe', 'pipe', 'pipe'] }
+    );
+  },
+
+  get(service, key) {
+    try {
+      const result = execFileSync(
+        'secret-tool',
+        ['lookup', 'service', service, 'account', key],
+        { stdio: 'pipe', encoding: 'utf8' }
+      );
+      // lookup exits 0 with empty output on some versions when nothing matches
+      return result.length > 0 ? result : null;
+    } catch (err) {
+      // lookup exits 1 when the item does not exist
+      if (err.status === 1 && !err.stderr?.toString().trim()) {
+        return null;
+      }
+      throw err;
+    }
+  },
+
+  has(service, key) {
+    try {
+      return secretServiceBackend.get(service, key) !== null;
+    } catch (err) {
+      return false;
+    }
+  },
+
+  delete(service, key) {
+    try {
+      execFileSync(
+        'secret-tool',
+        ['clear', 'service', service, 'account', key],
+        { stdio: 'pipe' }
+      );
+    } catch (err) {
+      // clear exits 1 when nothing matched
+      if (err.status !== 1) {
+        throw err;
+      }
+    }
+  }
+};
+
+/**
+ * System keychain backends, in order of preference for automatic selection
+ * The encrypted-file backend is never picked automatically
+ */
+const BACKENDS = [macosBackend, secretServiceBackend];
+
+/**
+ * Environment variable that selects the credential store (overrides `credentialStore` in config)
+ */
+export const CREDENTIAL_STORE_ENV_VAR = 'BUWP_LOCAL_CREDENTIAL_STORE';
+
+/**
+ * Valid credential store settings
+ */
+export const CREDENTIAL_STORES = ['auto', 'macos', 'secret-service', 'file'];
+
+// Store setting from config; the environment variable takes precedence
+let configuredStore = 'auto';
+
+// Detected once per process; availability checks spawn external tools
+let detectedBackend;
+
+/**
+ * Select the credential store to use
+ * @param {string} store - One of CREDENTIAL_STORES (default: 'auto')
+ * @throws {Error} If the store name is not recognized
+ */
+export function configureBackend(store = 'auto') {
+  if (!CREDENTIAL_STORES.includes(store)) {
+    throw new Error(`Invalid credential store: ${store} (expected one of ${CREDENTIAL_STORES.join(', ')})`);
+  }
+  if (store !== configuredStore) {
+    configuredStore = store;
+    detectedBackend = undefined;
+  }
+}
+
+/**
+ * Get the credential backend for the current platform and settings
+ * @returns {object|null} Backend or null if none is available
+ */
+export function getBackend() {
+  if (detectedBackend === undefined) {
+    const store = process.env[CREDENTIAL_STORE_ENV_VAR] || configuredStore;
+
+    if (store === 'file') {
+      detectedBackend = encryptedFileBackend;
+    } else if (store === 'auto') {
+      detectedBackend = BACKENDS.find(backend => backend.isAvailable()) || null;
+    } else {
+      const backend = BACKENDS.find(b => b.name === store);
+      if (!backend) {
+        throw new Error(`Invalid ${CREDENTIAL_STORE_ENV_VAR}: ${store} (expected one of ${CREDENTIAL_STORES.join(', ')})`);
+      }
+      detectedBackend = backend.isAvailable() ? backend : null;
+    }
+  }
+  return detectedBackend;
+}
+
+/**
+ * Get the backend, throwing if none is available
+ * @returns {object} Backend
+ * @throws {Error} If no backend is available
+ */
+function requireBackend() {
+  const backend = getBackend();
+  if (!backend) {
+    throw new Error(`No supported credential store found (requires macOS Keychain, Linux secret-tool, or ${CREDENTIAL_STORE_ENV_VAR}=file)`);
+  }
+  return backend;
+}
+
 /**
  * Check if the current platform supports keychain operations
- * @returns {boolean} True if macOS, false otherwise
+ * @returns {boolean} True if a credential backend is available
  */
 export function isPlatformSupported() {
-  return process.platform === 'darwin';
+  return getBackend() !== null;
 }
 
 /**
@@ -107,73 +346,52 @@ export function isMultilineCredential(key) {
 }
 
 /**
- * Set a credential in the macOS keychain
- * Uses -U flag to update existing entries instead of creating duplicates
+ * Get the keychain service name for global or project-scoped credentials
+ * @param {string|null} project - Project name, or null for global credentials
+ * @returns {string} Service name
+ */
+export function getServiceName(project = null) {
+  return project ? `${KEYCHAIN_SERVICE}:${project}` : KEYCHAIN_SERVICE;
+}
+
+/**
+ * Set a credential in the keychain
  * @param {string} key - Credential key (e.g., 'WORDPRESS_DB_PASSWORD')
  * @param {string} value - Credential value
+ * @param {string|null} project - Project name for a project-scoped credential
  * @throws {Error} If platform is not supported or operation fails
  */
-export function setCredential(key, value) {
-  if (!isPlatformSupported()) {
-    throw new Error('Keychain operations are only supported on macOS');
-  }
+export function setCredential(key, value, project = null) {
+  const backend = requireBackend();
 
   if (!isValidCredentialKey(key)) {
     throw new Error(`Invalid credential key: ${key}`);
   }
 
   try {
-    // Use -U flag to update if exists, create if doesn't
-    // -w flag allows password on command line (needed for automation)
-    execSync(
-      `security add-generic-password -s "${KEYCHAIN_SERVICE}" -a "${key}" -w "${value}" -U`,
-      { stdio: 'pipe' }
-    );
+    backend.set(getServiceName(project), key, value);
   } catch (err) {
     throw new Error(`Failed to store credential in keychain: ${err.message}`);
   }
 }
 
 /**
- * Get a credential from the macOS keychain
+ * Get a credential from the keychain
  * @param {string} key - Credential key
+ * @param {string|null} project - Project name for a project-scoped credential
  * @returns {string|null} Credential value or null if not found
  * @throws {Error} If platform is not supported
  */
-export function getCredential(key) {
-  if (!isPlatformSupported()) {
-    throw new Error('Keychain operations are only supported on macOS');
-  }
+export function getCredential(key, project = null) {
+  const backend = requireBackend();
 
   if (!isValidCredentialKey(key)) {
     throw new Error(`Invalid credential key: ${key}`);
   }
 
   try {
-    // -w flag returns only the password (no other metadata)
-    let result = execSync(
-      `security find-generic-password -s "${KEYCHAIN_SERVICE}" -a "${key}" -w`,
-      { stdio: 'pipe', encoding: 'utf8' }
-    );
-    result = result.trim();
-
-    // Handle hex-encoded values (legacy format for multiline credentials)
-    // Check if the value looks like hex (only hex digits, even length)
-    if (isMultilineCredential(key) && isHexEncoded(result)) {
-      try {
-        result = Buffer.from(result, 'hex').toString('utf8');
-      } catch (err) {
-        // If hex decode fails, return original value
-        console.warn(`Warning: Could not decode hex-encoded credential ${key}`);
-      }
-    }
-
-    return result;
+    return backend.get(getServiceName(project), key);
   } catch (err) {
-    // Credential not found
-    if (err.message.includes('could not be found')) {
-      return null;
-    }
     throw new Error(`Failed to retrieve credential from keychain: ${err.message}`);
   }
 }
@@ -191,10 +409,12 @@ function isHexEncoded(value) {
 /**
  * Check if a credential exists in the keychain
  * @param {string} key - Credential key
+ * @param {string|null} project - Project name for a project-scoped credential
  * @returns {boolean} True if credential exists
  */
-export function hasCredential(key) {
-  if (!isPlatformSupported()) {
+export function hasCredential(key, project = null) {
+  const backend = getBackend();
+  if (!backend) {
     return false;
   }
 
@@ -202,49 +422,35 @@ export function hasCredential(key) {
     return false;
   }
 
-  try {
-    execSync(
-      `security find-generic-password -s "${KEYCHAIN_SERVICE}" -a "${key}"`,
-      { stdio: 'pipe' }
-    );
-    return true;
-  } catch (err) {
-    return false;
-  }
+  return backend.has(getServiceName(project), key);
 }
 
 /**
  * Delete a credential from the keychain
  * @param {string} key - Credential key
+ * @param {string|null} project - Project name for a project-scoped credential
  * @throws {Error} If platform is not supported or operation fails
  */
-export function deleteCredential(key) {
-  if (!isPlatformSupported()) {
-    throw new Error('Keychain operations are only supported on macOS');
-  }
+export function deleteCredential(key, project = null) {
+  const backend = requireBackend();
 
   if (!isValidCredentialKey(key)) {
     throw new Error(`Invalid credential key: ${key}`);
   }
 
   try {
-    execSync(
-      `security delete-generic-password -s "${KEYCHAIN_SERVICE}" -a "${key}"`,
-      { stdio: 'pipe' }
-    );
+    backend.delete(getServiceName(project), key);
   } catch (err) {
-    // Ignore if credential doesn't exist
-    if (!err.message.includes('could not be found')) {
-      throw new Error(`Failed to delete credential from keychain: ${err.message}`);
-    }
+    throw new Error(`Failed to delete credential from keychain: ${err.message}`);
   }
 }
 
 /**
  * List all stored credentials (returns keys only, not values)
+ * @param {string|null} project - Project name to list project-scoped credentials
  * @returns {string[]} Array of credential keys that are stored
  */
-export function listCredentials() {
+export function listCredentials(project = null) {
   if (!isPlatformSupported()) {
     return [];
   }
@@ -252,7 +458,7 @@ export function listCredentials() {
   const storedKeys = [];
   
   for (const key of CREDENTIAL_KEYS) {
-    if (hasCredential(key)) {
+    if (hasCredential(key, project)) {
       storedKeys.push(key);
     }
   }
@@ -262,18 +468,17 @@ export function listCredentials() {
 
 /**
  * Clear all buwp-local credentials from keychain
+ * @param {string|null} project - Project name to clear only project-scoped credentials
  * @returns {number} Number of credentials deleted
  */
-export function clearAllCredentials() {
-  if (!isPlatformSupported()) {
-    throw new Error('Keychain operations are only supported on macOS');
-  }
+export function clearAllCredentials(project = null) {
+  requireBackend();
 
   let deletedCount = 0;
   
   for (const key of CREDENTIAL_KEYS) {
     try {
-      deleteCredential(key);
+      deleteCredential(key, project);
       deletedCount++;
     } catch (err) {
       // Continue deleting others even if one fails
@@ -283,13 +488,28 @@ export function clearAllCredentials() {
   return deletedCount;
 }
 
+/**
+ * Check if a credentials file was written with `keychain export --encrypt`
+ * @param {string} filePath - Path to credentials file
+ * @returns {boolean} True if the file is an encrypted envelope
+ */
+export function isEncryptedCredentialsFile(filePath) {
+  try {
+    return isEncryptedEnvelope(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (err) {
+    return false;
+  }
+}
+
 /**
  * Parse credentials from a JSON file
  * Expected format: { "credentials": { "KEY": "value", ... }, "version": "1.0", ... }
+ * Files written with `keychain export --encrypt` are decrypted with the passphrase first
  * @param {string} filePath - Path to credentials JSON file
+ * @param {string} [passphrase] - Passphrase for encrypted files
  * @returns {object} { parsed, unknown, metadata }
  */
-export function parseCredentialsFile(filePath) {
+export function parseCredentialsFile(filePath, passphrase = null) {
   // Read and parse JSON file
   let data;
   try {
@@ -303,6 +523,13 @@ export function parseCredentialsFile(filePath) {
     }
     throw new Error(`Failed to read file: ${err.message}`);
   }
+
+  if (isEncryptedEnvelope(data)) {
+    if (!passphrase) {
+      throw new Error('Credentials file is encrypted and requires a passphrase');
+    }
+    data = JSON.parse(decryptWithPassphrase(data, passphrase));
+  }
   
   // Validate structure
   if (!data.credentials || typeof data.credentials !== 'object') {
@@ -335,3 +562,31 @@ export function parseCredentialsFile(filePath) {
   
   return { parsed, unknown, metadata };
 }
+
+/**
+ * Write credentials in the format read by parseCredentialsFile()
+ * File is created with restrictive permissions (600)
+ * @param {string} filePath - Destination path
+ * @param {object} credentials - Credential key-value pairs
+ * @param {string} [passphrase] - Encrypt the file with this passphrase
+ * @returns {object} The unencrypted file contents
+ */
+export function writeCredentialsFile(filePath, credentials, passphrase = null) {
+  const data = {
+    version: '1.0',
+    source: os.hostname(),
+    exported: new Date().toISOString(),
+    credentials
+  };
+
+  const json = JSON.stringify(data, null, 2);
+  const content = passphrase
+    ? JSON.stringify(encryptWithPassphrase(json, passphrase), null, 2)
+    : json;
+
+  fs.writeFileSync(filePath, content + '\n', { mode: 0o600 });
+  // mode only applies to newly created files
+  fs.chmodSync(filePath, 0o600);
+
+  return data;
+}
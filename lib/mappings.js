@@ -0,0 +1,195 @@
+/**
+ * Volume mapping helpers
+ * Suggests container paths for local code and checks new mappings against existing ones,
+ * so the mappings array can be edited without knowing the container layout.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadConfigLayers, CONFIG_FILE_NAME, LOCAL_CONFIG_FILE_NAME } from './config.js';
+import { detectProjectType, MAPPING_TEMPLATES } from './commands/init.js';
+
+export const WORDPRESS_ROOT = '/var/www/html';
+
+/**
+ * Container directories whose whole contents come from the image
+ * Mapping onto one of these (or a parent) hides WordPress core or every bundled plugin/theme.
+ */
+const PROTECTED_PATHS = [
+  WORDPRESS_ROOT,
+  `${WORDPRESS_ROOT}/wp-admin`,
+  `${WORDPRESS_ROOT}/wp-includes`,
+  `${WORDPRESS_ROOT}/wp-content`,
+  `${WORDPRESS_ROOT}/wp-content/plugins`,
+  `${WORDPRESS_ROOT}/wp-content/themes`,
+  `${WORDPRESS_ROOT}/wp-content/mu-plugins`
+];
+
+/**
+ * Normalize a container path for comparison
+ * @param {string} containerPath - Absolute container path
+ * @returns {string}
+ */
+export function normalizeContainerPath(containerPath) {
+  return path.posix.normalize(containerPath).replace(/(.)\/+$/, '$1');
+}
+
+/**
+ * Check if one container path is inside (or equal to) another
+ * @param {string} child - Candidate child path
+ * @param {string} parent - Candidate parent path
+ * @returns {boolean}
+ */
+function isWithin(child, parent) {
+  return child === parent || child.startsWith(parent === '/' ? '/' : `${parent}/`);
+}
+
+/**
+ * Detect what kind of WordPress code a local path holds
+ * Single PHP files are treated as mu-plugins, since WordPress only loads loose files there.
+ * @param {string} localPath - Absolute local path
+ * @returns {string|null} plugin, theme, mu-plugin, or null if unknown
+ */
+export function detectMappingType(localPath) {
+  const stats = fs.statSync(localPath);
+
+  if (stats.isFile()) {
+    return localPath.endsWith('.php') ? 'mu-plugin' : null;
+  }
+
+  return detectProjectType(localPath);
+}
+
+/**
+ * Suggest a container path for a local path
+ * @param {string} localPath - Absolute local path
+ * @returns {object} { type, container } where both are null when the type is unknown
+ */
+export function suggestContainerPath(localPath) {
+  const type = detectMappingType(localPath);
+  const template = type ? MAPPING_TEMPLATES[type] : null;
+
+  if (!template) {
+    return { type: null, container: null };
+  }
+
+  return { type, container: template.replace('{name}', path.basename(localPath)) };
+}
+
+/**
+ * Check a container target against the existing mappings and the WordPress layout
+ * @param {object[]} mappings - Existing mappings
+ * @param {string} container - Proposed container path
+ * @returns {object[]} Problems [{ kind: 'invalid'|'duplicate'|'overlap'|'core', message, mapping? }]
+ */
+export function findMappingConflicts(mappings, container) {
+  if (!container.startsWith('/')) {
+    return [{ kind: 'invalid', message: `Container path must be absolute: ${container}` }];
+  }
+
+  const target = normalizeContainerPath(container);
+  const problems = [];
+
+  (mappings || []).forEach(mapping => {
+    const existing = normalizeContainerPath(mapping.container);
+
+    if (existing === target) {
+      problems.push({ kind: 'duplicate', message: `${target} is already mapped from ${mapping.local}`, mapping });
+    } else if (isWithin(target, existing)) {
+      problems.push({ kind: 'overlap', message: `${target} is inside ${existing}, which is mapped from ${mapping.local}`, mapping });
+    } else if (isWithin(existing, target)) {
+      problems.push({ kind: 'overlap', message: `${target} would hide ${existing}, which is mapped from ${mapping.local}`, mapping });
+    }
+  });
+
+  const shadowed = PROTECTED_PATHS.find(protectedPath => isWithin(protectedPath, target));
+  if (shadowed) {
+    problems.push({ kind: 'core', message: `${target} would hide ${shadowed} from the image` });
+  } else if (path.posix.dirname(target) === WORDPRESS_ROOT && /^(wp-.*|index|xmlrpc)\.php$/.test(path.posix.basename(target))) {
+    problems.push({ kind: 'core', message: `${target} would replace a WordPress core file` });
+  } else if (isWithin(target, `${WORDPRESS_ROOT}/wp-admin`) || isWithin(target, `${WORDPRESS_ROOT}/wp-includes`)) {
+    problems.push({ kind: 'core', message: `${target} is inside WordPress core` });
+  }
+
+  return problems;
+}
+
+/**
+ * Find the mappings matching a local or container path
+ * @param {object[]} mappings - Existing mappings
+ * @param {string} value - Container path, or local path (relative to the project)
+ * @param {string} projectPath - Project directory
+ * @returns {number[]} Indexes of matching mappings
+ */
+export function findMappingIndexes(mappings, value, projectPath) {
+  const container = value.startsWith('/') ? normalizeContainerPath(value) : null;
+  const local = path.resolve(projectPath, value);
+
+  return (mappings || []).reduce((indexes, mapping, index) => {
+    if ((container && normalizeContainerPath(mapping.container) === container) ||
+      path.resolve(projectPath, mapping.local) === local) {
+      indexes.push(index);
+    }
+    return indexes;
+  }, []);
+}
+
+/**
+ * Format a local path the way it is stored in config
+ * Paths stay relative to the project with POSIX separators, including sibling checkouts
+ * (../bu-navigation), so the config works from any checkout. Only paths with no relative
+ * form (another drive on Windows) are stored absolute.
+ * @param {string} localPath - Absolute local path
+ * @param {string} projectPath - Project directory
+ * @returns {string}
+ */
+export function formatLocalPath(localPath, projectPath) {
+  const relative = path.relative(projectPath, localPath);
+
+  if (relative === '') {
+    return './';
+  }
+  if (path.isAbsolute(relative)) {
+    return localPath;
+  }
+
+  const posix = relative.split(path.sep).join('/');
+  return posix === '..' || posix.startsWith('../') ? posix : `./${posix}`;
+}
+
+/**
+ * Find the config file whose mappings array is in effect
+ * Arrays replace each other between layers, so edits go to the highest file that sets one.
+ * @param {string} projectPath - Project directory
+ * @returns {string} CONFIG_FILE_NAME or LOCAL_CONFIG_FILE_NAME
+ */
+export function getMappingsFileName(projectPath) {
+  const local = loadConfigLayers(projectPath).find(layer => layer.name === 'local');
+  return local && Array.isArray(local.data.mappings) ? LOCAL_CONFIG_FILE_NAME : CONFIG_FILE_NAME;
+}
+
+/**
+ * Find the container path of a local path through the mapping that holds it
+ * The deepest matching mapping wins, as it does for nested mounts in the container.
+ * @param {object[]} mappings - Mappings from config
+ * @param {string} localPath - Absolute local path
+ * @param {string} projectPath - Project directory (mapping local paths are relative to it)
+ * @returns {string|null} Container path, or null if no mapping holds the path
+ */
+export function findContainerPath(mappings, localPath, projectPath) {
+  let best = null;
+
+  (mappings || []).forEach(mapping => {
+    const mappedLocal = path.resolve(projectPath, mapping.local);
+    const relative = path.relative(mappedLocal, localPath);
+
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return;
+    }
+    if (!best || mappedLocal.length > best.local.length) {
+      best = { local: mappedLocal, container: path.posix.join(normalizeContainerPath(mapping.container), ...relative.split(path.sep)) };
+    }
+  });
+
+  return best ? normalizeContainerPath(best.container) : null;
+}
@@ -0,0 +1,183 @@
+/**
+ * Port conflict detection
+ * Probes the host ports a project will publish before `docker compose up`, names whoever
+ * holds a busy port, and finds free alternatives.
+ */
+
+import net from 'net';
+import { execSync } from 'child_process';
+import { findProject, getRegisteredPorts } from './registry.js';
+
+/**
+ * Interface each service publishes on (see compose-generator.js)
+ */
+export const PORT_BINDINGS = {
+  http: '0.0.0.0',
+  https: '0.0.0.0',
+  db: '127.0.0.1',
+  redis: '127.0.0.1',
+  mail: '127.0.0.1',
+  dbadmin: '127.0.0.1'
+};
+
+/**
+ * Where to start looking for an alternative port (default: the configured port + 1)
+ */
+const ALTERNATIVE_START = {
+  http: 8080,
+  https: 8443
+};
+
+const MAX_PORT_ATTEMPTS = 100;
+
+/**
+ * Get the services whose ports the project will publish
+ * @param {object} config - Resolved configuration
+ * @returns {string[]} Service keys of config.ports
+ */
+function getPublishedServices(config) {
+  return Object.keys(PORT_BINDINGS).filter(service => {
+    if (service === 'redis' || service === 'mail' || service === 'dbadmin') {
+      return Boolean(config.services?.[service]);
+    }
+    return true;
+  });
+}
+
+/**
+ * Check if a port can be bound on an interface
+ * Only "address in use" counts as busy: privileged ports fail with EACCES for regular
+ * users, but Docker binds them itself.
+ * @param {number} port - Port number
+ * @param {string} host - Interface address
+ * @returns {Promise<boolean>}
+ */
+export function isPortAvailable(port, host) {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.once('error', err => resolve(err.code !== 'EADDRINUSE'));
+    server.listen({ port, host, exclusive: true }, () => {
+      server.close(() => resolve(true));
+    });
+  });
+}
+
+/**
+ * Find out who holds a port
+ * Docker containers are checked first so another buwp-local project is named by project.
+ * @param {number} port - Port number
+ * @returns {object|null} { type: 'project'|'container'|'process', name, path?, pid? }
+ */
+export function findPortHolder(port) {
+  try {
+    const output = execSync(
+      `docker ps --filter publish=${port} --format '{{.Label "com.docker.compose.project"}}\t{{.Names}}'`,
+      { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }
+    );
+    const [line] = output.split('\n').filter(Boolean);
+    if (line) {
+      const [project, container] = line.split('\t');
+      if (project) {
+        return { type: 'project', name: project, path: findProject(project)?.path || null };
+      }
+      return { type: 'container', name: container };
+    }
+  } catch (err) {
+    // Docker not available, fall through to lsof
+  }
+
+  try {
+    const output = execSync(`lsof -nP -iTCP:${port} -sTCP:LISTEN -Fpc`, {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+    const pid = /^p(\d+)$/m.exec(output)?.[1];
+    const name = /^c(.+)$/m.exec(output)?.[1];
+    if (pid || name) {
+      return { type: 'process', name: name || 'unknown', pid: pid ? parseInt(pid, 10) : null };
+    }
+  } catch (err) {
+    // lsof missing or the holder belongs to another user
+  }
+
+  return null;
+}
+
+/**
+ * Describe a port holder for messages
+ * @param {object|null} holder - Result of findPortHolder()
+ * @returns {string}
+ */
+export function describePortHolder(holder) {
+  if (!holder) {
+    return 'an unknown process';
+  }
+  if (holder.type === 'project') {
+    return `buwp-local project "${holder.name}"${holder.path ? ` (${holder.path})` : ''}`;
+  }
+  if (holder.type === 'container') {
+    return `Docker container "${holder.name}"`;
+  }
+  return `${holder.name}${holder.pid ? ` (pid ${holder.pid})` : ''}`;
+}
+
+/**
+ * Find configured ports that are already in use
+ * Ports held by this project's own containers are not conflicts.
+ * @param {object} config - Resolved configuration
+ * @returns {Promise<object[]>} [{ service, port, host, holder }]
+ */
+export async function findPortConflicts(config) {
+  const conflicts = [];
+
+  for (const service of getPublishedServices(config)) {
+    const port = config.ports[service];
+    const host = PORT_BINDINGS[service];
+
+    if (await isPortAvailable(port, host)) continue;
+
+    const holder = findPortHolder(port);
+    if (holder?.type === 'project' && holder.name === config.projectName) continue;
+
+    conflicts.push({ service, port, host, holder });
+  }
+
+  return conflicts;
+}
+
+/**
+ * Pick free ports for conflicting services
+ * Skips ports used by this project's other services and by other registered projects,
+ * so sandboxes do not collide when they are started later.
+ * @param {object} config - Resolved configuration
+ * @param {object[]} conflicts - Result of findPortConflicts()
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<object>} Map of service to new port
+ */
+export async function findFreePorts(config, conflicts, projectPath) {
+  const reserved = getRegisteredPorts(projectPath);
+  Object.values(config.ports).forEach(port => reserved.add(port));
+
+  const replacements = {};
+  for (const { service, port, host } of conflicts) {
+    let candidate = ALTERNATIVE_START[service] || port + 1;
+    let found = null;
+
+    for (let attempt = 0; attempt < MAX_PORT_ATTEMPTS && candidate <= 65535; attempt++, candidate++) {
+      if (reserved.has(candidate)) continue;
+      if (await isPortAvailable(candidate, host)) {
+        found = candidate;
+        break;
+      }
+    }
+
+    if (!found) {
+      throw new Error(`No free port found for ${service} near ${ALTERNATIVE_START[service] || port + 1}`);
+    }
+
+    replacements[service] = found;
+    reserved.add(found);
+  }
+
+  return replacements;
+}
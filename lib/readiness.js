@@ -0,0 +1,133 @@
+/**
+ * Readiness checks for a freshly started stack
+ * Polls container health and the site itself until everything answers or the timeout expires.
+ */
+
+import chalk from 'chalk';
+import http from 'http';
+import { getComposeContainers } from './docker.js';
+
+const POLL_INTERVAL_MS = 2000;
+const HTTP_TIMEOUT_MS = 5000;
+
+export const DEFAULT_READY_TIMEOUT_SECONDS = 180;
+
+/**
+ * Get a readiness state for every service container
+ * @param {string} projectName - Docker Compose project name
+ * @param {string} composePath - Generated compose file
+ * @returns {object} Map of service to 'ready', a health status (starting, unhealthy) or a container state
+ */
+export function getServiceStates(projectName, composePath) {
+  const states = {};
+  for (const container of getComposeContainers(projectName, composePath)) {
+    if (container.State !== 'running') {
+      states[container.Service] = container.State;
+    } else if (container.Health && container.Health !== 'healthy') {
+      states[container.Service] = container.Health;
+    } else {
+      states[container.Service] = 'ready';
+    }
+  }
+  return states;
+}
+
+/**
+ * Check that the site answers an HTTP request
+ * Redirects and client errors count as answers; 5xx (e.g. database connection errors) do not.
+ * @param {object} config - Resolved configuration
+ * @returns {Promise<boolean>}
+ */
+export function siteResponds(config) {
+  return new Promise(resolve => {
+    const request = http.get({
+      host: '127.0.0.1',
+      port: config.ports.http,
+      path: '/',
+      headers: { Host: config.hostname },
+      timeout: HTTP_TIMEOUT_MS
+    }, response => {
+      response.resume();
+      resolve(response.statusCode < 500);
+    });
+    request.on('timeout', () => request.destroy());
+    request.on('error', () => resolve(false));
+  });
+}
+
+/**
+ * Wait until every container is healthy and the site responds
+ * @param {object} env - { projectName, composePath, config }
+ * @param {number} timeoutSeconds - Give up after this many seconds
+ * @returns {Promise<object>} { ready: boolean, failing: string[] } failing lists services that never became ready
+ */
+export async function waitForReady({ projectName, composePath, config }, timeoutSeconds = DEFAULT_READY_TIMEOUT_SECONDS) {
+  const started = Date.now();
+  const deadline = started + timeoutSeconds * 1000;
+  const progress = createProgress();
+  let states = {};
+
+  while (Date.now() < deadline) {
+    try {
+      states = getServiceStates(projectName, composePath);
+    } catch (err) {
+      states = {};
+    }
+
+    const pending = Object.entries(states).filter(([, state]) => state !== 'ready');
+    const containersReady = Object.keys(states).length > 0 && pending.length === 0;
+
+    if (containersReady && await siteResponds(config)) {
+      progress.done();
+      return { ready: true, failing: [] };
+    }
+
+    const elapsed = Math.round((Date.now() - started) / 1000);
+    const detail = containersReady
+      ? 'waiting for the site to respond'
+      : pending.map(([service, state]) => `${service} ${state}`).join(', ');
+    progress.update(`⏳ Waiting for services (${elapsed}s/${timeoutSeconds}s): ${detail}`);
+
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+
+  progress.done();
+
+  const failing = Object.entries(states)
+    .filter(([, state]) => state !== 'ready')
+    .map(([service]) => service);
+
+  // Every container is healthy but the site never answered: WordPress is the one to look at
+  return { ready: false, failing: failing.length > 0 ? failing : ['wordpress'] };
+}
+
+/**
+ * Progress output: one rewritten line on a terminal, changed lines only otherwise
+ * @returns {object} { update(message), done() }
+ */
+function createProgress() {
+  const tty = process.stdout.isTTY;
+  let lastMessage = '';
+  let lastLength = 0;
+
+  return {
+    update(message) {
+      if (tty) {
+        process.stdout.write(`\r${chalk.gray(message.padEnd(lastLength))}`);
+        lastLength = message.length;
+      } else {
+        // Drop the elapsed counter so unchanged states aren't repeated every poll
+        const comparable = message.replace(/\(\d+s\//, '(');
+        if (comparable !== lastMessage) {
+          console.log(chalk.gray(message));
+          lastMessage = comparable;
+        }
+      }
+    },
+    done() {
+      if (tty && lastLength > 0) {
+        process.stdout.write(`\r${' '.repeat(lastLength)}\r`);
+      }
+    }
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Project registry
+ * Records every project that runs `start` in ~/.buwp-local/projects.json so
+ * `buwp-local list` can show which directory owns which hostname and volumes.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const USER_DIR = path.join(os.homedir(), '.buwp-local');
+
+export const REGISTRY_PATH = path.join(USER_DIR, 'projects.json');
+
+/**
+ * Read the registry file
+ * @returns {object} Projects keyed by project path
+ */
+function readRegistry() {
+  if (!fs.existsSync(REGISTRY_PATH)) {
+    return {};
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+    return data.projects || {};
+  } catch (err) {
+    throw new Error(`Failed to read ${REGISTRY_PATH}: ${err.message}`);
+  }
+}
+
+/**
+ * Write the registry file atomically
+ * @param {object} projects - Projects keyed by project path
+ */
+function writeRegistry(projects) {
+  fs.mkdirSync(USER_DIR, { recursive: true, mode: 0o700 });
+  const tempPath = `${REGISTRY_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ version: 1, projects }, null, 2) + '\n');
+  fs.renameSync(tempPath, REGISTRY_PATH);
+}
+
+/**
+ * Record a project start in the registry
+ * @param {string} projectPath - Project directory
+ * @param {object} config - Resolved configuration
+ */
+export function registerProject(projectPath, config) {
+  const projects = readRegistry();
+
+  projects[projectPath] = {
+    path: projectPath,
+    projectName: config.projectName,
+    hostname: config.hostname,
+    ports: config.ports,
+    image: config.image,
+    lastStarted: new Date().toISOString()
+  };
+
+  writeRegistry(projects);
+}
+
+/**
+ * List registered projects, pruning entries whose directories no longer exist
+ * @returns {object} { projects: object[], pruned: object[] } sorted by projectName
+ */
+export function listProjects() {
+  const projects = readRegistry();
+  const pruned = [];
+
+  for (const [projectPath, project] of Object.entries(projects)) {
+    if (!fs.existsSync(projectPath)) {
+      pruned.push(project);
+      delete projects[projectPath];
+    }
+  }
+
+  if (pruned.length > 0) {
+    writeRegistry(projects);
+  }
+
+  return {
+    projects: Object.values(projects).sort((a, b) => a.projectName.localeCompare(b.projectName)),
+    pruned
+  };
+}
+
+/**
+ * Look up a registered project by its Docker Compose project name
+ * @param {string} projectName - Project name
+ * @returns {object|null} Registry entry
+ */
+export function findProject(projectName) {
+  return Object.values(readRegistry()).find(project => project.projectName === projectName) || null;
+}
+
+/**
+ * Collect the host ports configured by other registered projects
+ * @param {string} excludePath - Project directory to leave out (usually the current one)
+ * @returns {Set<number>} Ports
+ */
+export function getRegisteredPorts(excludePath) {
+  const ports = new Set();
+  for (const project of Object.values(readRegistry())) {
+    if (project.path === excludePath) continue;
+    Object.values(project.ports || {}).forEach(port => ports.add(port));
+  }
+  return ports;
+}
@@ -0,0 +1,242 @@
+/**
+ * Workspace manifest
+ * The `workspace` section of .buwp-local.json lists the repos a sandbox project maps, by git URL
+ * or local path. Syncing clones missing repos next to the project, checks out the requested
+ * branches and keeps the generated `mappings` entries in step, so a sandbox can be rebuilt on
+ * another machine from the config file alone.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { MAPPING_TEMPLATES } from './commands/init.js';
+import { normalizeContainerPath, formatLocalPath } from './mappings.js';
+
+// Default clone directory, relative to the project: next to it
+export const DEFAULT_WORKSPACE_DIRECTORY = '..';
+
+// Prefix of the comment that marks mappings generated from the workspace
+export const WORKSPACE_COMMENT_PREFIX = 'workspace:';
+
+export const WORKSPACE_TYPES = ['plugin', 'theme', 'mu-plugin'];
+
+/**
+ * Derive a repo name from its git URL
+ * @param {string} url - Git URL or path, e.g. git@github.com:bu-ist/bu-navigation.git
+ * @returns {string}
+ */
+export function repoNameFromUrl(url) {
+  return path.posix.basename(url.replace(/[\\/]+$/, '').replace(/:/g, '/')).replace(/\.git$/, '');
+}
+
+/**
+ * Resolve the repos listed in the workspace section
+ * @param {object} config - Resolved configuration
+ * @param {string} projectPath - Project directory
+ * @returns {object[]} Repos [{ name, url, dir, type, branch, container }]
+ */
+export function getWorkspaceRepos(config, projectPath) {
+  const workspace = config.workspace || {};
+  const directory = path.resolve(projectPath, workspace.directory || DEFAULT_WORKSPACE_DIRECTORY);
+
+  return (workspace.repos || []).map((repo, index) => {
+    if (!repo.url && !repo.path) {
+      throw new Error(`Workspace repo ${index + 1} needs a url or a path`);
+    }
+
+    const name = repo.name || (repo.url ? repoNameFromUrl(repo.url) : path.basename(path.resolve(projectPath, repo.path)));
+    const template = MAPPING_TEMPLATES[repo.type];
+
+    if (!repo.container && !template) {
+      throw new Error(`Workspace repo "${name}" needs a type (${WORKSPACE_TYPES.join(', ')}) or a container path`);
+    }
+
+    return {
+      name,
+      url: repo.url || null,
+      dir: repo.path ? path.resolve(projectPath, repo.path) : path.join(directory, name),
+      type: repo.type || null,
+      branch: repo.branch || null,
+      container: normalizeContainerPath(repo.container || template.replace('{name}', name))
+    };
+  });
+}
+
+/**
+ * Run git
+ * @param {string[]} args - Arguments
+ * @param {string} cwd - Working directory
+ * @returns {object} { ok, stdout, stderr }
+ */
+function git(args, cwd) {
+  const result = spawnSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+
+  if (result.error) {
+    throw new Error(result.error.code === 'ENOENT' ? 'git is not installed' : result.error.message);
+  }
+
+  return { ok: result.status === 0, stdout: result.stdout.trim(), stderr: result.stderr.trim() };
+}
+
+/**
+ * Describe the git state of a repo directory
+ * @param {string} dir - Repo directory
+ * @returns {object} { exists, isRepo, branch, dirty }
+ */
+export function getRepoState(dir) {
+  if (!fs.existsSync(dir)) {
+    return { exists: false, isRepo: false, branch: null, dirty: false };
+  }
+
+  const inside = git(['rev-parse', '--is-inside-work-tree'], dir);
+  if (!inside.ok || inside.stdout !== 'true') {
+    return { exists: true, isRepo: false, branch: null, dirty: false };
+  }
+
+  const branch = git(['symbolic-ref', '--quiet', '--short', 'HEAD'], dir);
+  const status = git(['status', '--porcelain', '--untracked-files=no'], dir);
+
+  return {
+    exists: true,
+    isRepo: true,
+    branch: branch.ok ? branch.stdout : null,
+    dirty: status.stdout.length > 0
+  };
+}
+
+/**
+ * Clone a repo, on its requested branch if it has one
+ * @param {object} repo - Repo from getWorkspaceRepos()
+ */
+export function cloneRepo(repo) {
+  fs.mkdirSync(path.dirname(repo.dir), { recursive: true });
+
+  const args = ['clone', '--quiet', ...(repo.branch ? ['--branch', repo.branch] : []), repo.url, repo.dir];
+  const result = git(args, path.dirname(repo.dir));
+
+  if (!result.ok) {
+    throw new Error(result.stderr.split('\n').pop() || `git clone ${repo.url} failed`);
+  }
+}
+
+/**
+ * Check out a branch, fetching it from origin first
+ * Branches that only exist on origin are created as tracking branches.
+ * @param {string} dir - Repo directory
+ * @param {string} branch - Branch to check out
+ * @returns {object} { fetched } - fetched is false when origin could not be reached
+ */
+export function checkoutBranch(dir, branch) {
+  const hasOrigin = git(['remote', 'get-url', 'origin'], dir).ok;
+  const fetched = hasOrigin ? git(['fetch', '--quiet', 'origin'], dir).ok : false;
+
+  const result = git(['checkout', '--quiet', branch, '--'], dir);
+  if (!result.ok) {
+    throw new Error(result.stderr.split('\n').pop() || `git checkout ${branch} failed`);
+  }
+
+  return { fetched };
+}
+
+/**
+ * Clone or update one repo
+ * A repo with uncommitted changes is never switched to another branch.
+ * @param {object} repo - Repo from getWorkspaceRepos()
+ * @returns {string} What happened, for the summary
+ */
+export function syncRepo(repo) {
+  const state = getRepoState(repo.dir);
+
+  if (!state.exists) {
+    if (!repo.url) {
+      throw new Error(`${repo.dir} does not exist and the repo has no url to clone`);
+    }
+    cloneRepo(repo);
+    return repo.branch ? `cloned (${repo.branch})` : 'cloned';
+  }
+
+  if (!repo.branch || state.branch === repo.branch) {
+    return state.branch ? `on ${state.branch}` : 'present';
+  }
+
+  if (!state.isRepo) {
+    throw new Error(`${repo.dir} is not a git repository, cannot check out ${repo.branch}`);
+  }
+
+  if (state.dirty) {
+    throw new Error(`${repo.dir} has uncommitted changes, staying on ${state.branch || 'a detached HEAD'} instead of ${repo.branch}`);
+  }
+
+  const { fetched } = checkoutBranch(repo.dir, repo.branch);
+  return `checked out ${repo.branch}${fetched ? '' : ' (without fetching)'}`;
+}
+
+/**
+ * Build the mappings for workspace repos
+ * @param {object[]} repos - Repos from getWorkspaceRepos()
+ * @param {string} projectPath - Project directory
+ * @returns {object[]} Mappings tagged with a "workspace: <name>" comment
+ */
+export function buildWorkspaceMappings(repos, projectPath) {
+  return repos.map(repo => ({
+    local: formatLocalPath(repo.dir, projectPath),
+    container: repo.container,
+    comment: `${WORKSPACE_COMMENT_PREFIX} ${repo.name}`
+  }));
+}
+
+/**
+ * Check if a mapping was generated from the workspace
+ * @param {object} mapping - Mapping
+ * @returns {boolean}
+ */
+export function isWorkspaceMapping(mapping) {
+  return typeof mapping.comment === 'string' && mapping.comment.startsWith(WORKSPACE_COMMENT_PREFIX);
+}
+
+/**
+ * Merge generated workspace mappings into an existing mappings array
+ * Generated mappings replace earlier ones with the same container path; mappings generated for
+ * repos that left the workspace are removed. Hand-written mappings are kept as they are.
+ * @param {object[]} existing - Current mappings
+ * @param {object[]} generated - From buildWorkspaceMappings()
+ * @param {string[]} managed - Container paths of every workspace repo, including ones that
+ *   could not be synced this time (their mappings are left alone)
+ * @returns {object} { mappings, added, updated, removed }
+ */
+export function mergeWorkspaceMappings(existing, generated, managed = generated.map(mapping => mapping.container)) {
+  const byContainer = new Map(generated.map(mapping => [mapping.container, mapping]));
+  const added = [];
+  const updated = [];
+  const removed = [];
+  const seen = new Set();
+
+  const mappings = (existing || []).flatMap(mapping => {
+    const container = normalizeContainerPath(mapping.container);
+    const replacement = byContainer.get(container);
+
+    if (replacement) {
+      seen.add(container);
+      if (mapping.local !== replacement.local || mapping.comment !== replacement.comment) {
+        updated.push(replacement);
+      }
+      return [replacement];
+    }
+
+    if (isWorkspaceMapping(mapping) && !managed.includes(container)) {
+      removed.push(mapping);
+      return [];
+    }
+
+    return [mapping];
+  });
+
+  generated.forEach(mapping => {
+    if (!seen.has(mapping.container)) {
+      added.push(mapping);
+      mappings.push(mapping);
+    }
+  });
+
+  return { mappings, added, updated, removed };
+}
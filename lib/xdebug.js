@@ -0,0 +1,195 @@
+/**
+ * Runtime Xdebug control
+ * Switches Xdebug on or off inside the running WordPress container by writing an ini file to
+ * PHP's scan directory and reloading Apache gracefully, so no containers are recreated. The
+ * chosen state is kept in .buwp-local/xdebug.json and applied again after start and update.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+export const XDEBUG_MODES = ['debug', 'develop', 'profile', 'trace', 'coverage', 'gcstats'];
+export const DEFAULT_XDEBUG_MODES = ['debug'];
+
+const STATE_FILE_NAME = 'xdebug.json';
+const INI_FILE_NAME = 'zz-buwp-local-xdebug.ini';
+
+/**
+ * Shell script run in the WordPress container to write the ini file and reload Apache
+ * $1 is "on" or "off"; the ini lines arrive on stdin. When the image hasn't loaded Xdebug
+ * itself (XDEBUG=false at container start), the script loads the extension with client
+ * settings for the IDE on the host.
+ */
+const APPLY_SCRIPT = `
+set -e
+dir=$(php -r 'echo PHP_CONFIG_FILE_SCAN_DIR;')
+file="$dir/${INI_FILE_NAME}"
+rm -f "$file"
+ini=$(cat)
+if [ "$1" = on ] && ! php -m | grep -qix xdebug; then
+  if ! php -d zend_extension=xdebug.so -m 2>/dev/null | grep -qix xdebug; then
+    echo "Xdebug is not installed in this image" >&2
+    exit 3
+  fi
+  ini="zend_extension=xdebug.so
+xdebug.client_host=host.docker.internal
+xdebug.client_port=9003
+xdebug.start_with_request=yes
+$ini"
+fi
+printf '; Managed by "buwp-local xdebug", changes are overwritten\\n%s\\n' "$ini" > "$file"
+# A graceful restart would start Apache if it isn't up yet; it reads the file when it starts anyway
+if grep -qsx -e apache2 -e httpd /proc/[0-9]*/comm; then
+  (apache2ctl -k graceful || apachectl -k graceful) >/dev/null 2>&1 || true
+fi
+`;
+
+/**
+ * PHP snippet printing the container's effective Xdebug settings as JSON
+ */
+const STATUS_SNIPPET = 'echo json_encode(['
+  + '"loaded" => extension_loaded("xdebug"),'
+  + '"version" => phpversion("xdebug"),'
+  + '"mode" => ini_get("xdebug.mode"),'
+  + '"envMode" => getenv("XDEBUG_MODE"),'
+  + '"startWithRequest" => ini_get("xdebug.start_with_request"),'
+  + '"clientHost" => ini_get("xdebug.client_host"),'
+  + '"clientPort" => ini_get("xdebug.client_port"),'
+  + '"outputDir" => ini_get("xdebug.output_dir")'
+  + ']);';
+
+/**
+ * Get the path of the persisted Xdebug state
+ * @param {string} projectPath - Project directory
+ * @returns {string}
+ */
+export function getXdebugStatePath(projectPath) {
+  return path.join(projectPath, '.buwp-local', STATE_FILE_NAME);
+}
+
+/**
+ * Read the persisted Xdebug state
+ * @param {string} projectPath - Project directory
+ * @returns {object|null} { enabled, modes, updatedAt }, or null if Xdebug was never toggled
+ */
+export function readXdebugState(projectPath) {
+  const statePath = getXdebugStatePath(projectPath);
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return {
+      enabled: state.enabled === true,
+      modes: Array.isArray(state.modes) && state.modes.length > 0 ? state.modes : DEFAULT_XDEBUG_MODES,
+      updatedAt: state.updatedAt || null
+    };
+  } catch (err) {
+    throw new Error(`Failed to read ${statePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Persist the Xdebug state for the next start
+ * @param {string} projectPath - Project directory
+ * @param {object} state - { enabled, modes }
+ * @returns {object} Written state
+ */
+export function writeXdebugState(projectPath, { enabled, modes }) {
+  const statePath = getXdebugStatePath(projectPath);
+  const state = { enabled, modes, updatedAt: new Date().toISOString() };
+
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n');
+  return state;
+}
+
+/**
+ * Parse a --mode value such as "debug,profile"
+ * @param {string} value - Comma-separated modes
+ * @returns {string[]} Modes, in the order given
+ */
+export function parseXdebugModes(value) {
+  const modes = [...new Set(String(value).split(',').map(mode => mode.trim().toLowerCase()).filter(Boolean))];
+
+  if (modes.length === 0) {
+    throw new Error(`No Xdebug mode given (expected one or more of: ${XDEBUG_MODES.join(', ')})`);
+  }
+
+  const unknown = modes.filter(mode => !XDEBUG_MODES.includes(mode));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown Xdebug mode "${unknown.join(', ')}" (expected one or more of: ${XDEBUG_MODES.join(', ')})`);
+  }
+
+  return modes;
+}
+
+/**
+ * Build the ini settings for a state
+ * @param {object} state - { enabled, modes }
+ * @returns {string}
+ */
+export function buildXdebugIni({ enabled, modes }) {
+  return `xdebug.mode=${enabled ? modes.join(',') : 'off'}`;
+}
+
+/**
+ * Run a command in the WordPress container
+ * @param {string} projectName - Docker Compose project name
+ * @param {string} composePath - Generated compose file
+ * @param {string[]} command - Command and arguments
+ * @param {string} input - Data for stdin
+ * @returns {object} spawnSync result
+ */
+function execInWordPress(projectName, composePath, command, input = '') {
+  return spawnSync(
+    'docker',
+    ['compose', '-p', projectName, '-f', composePath, 'exec', '-T', 'wordpress', ...command],
+    { cwd: path.dirname(composePath), encoding: 'utf8', input, timeout: 60000 }
+  );
+}
+
+/**
+ * Apply a state inside the running WordPress container
+ * @param {string} projectName - Docker Compose project name
+ * @param {string} composePath - Generated compose file
+ * @param {object} state - { enabled, modes }
+ */
+export function applyXdebugState(projectName, composePath, state) {
+  const result = execInWordPress(
+    projectName,
+    composePath,
+    ['sh', '-c', APPLY_SCRIPT, 'sh', state.enabled ? 'on' : 'off'],
+    buildXdebugIni(state)
+  );
+
+  if (result.error) {
+    throw new Error(`Failed to run docker: ${result.error.message}`);
+  }
+  if (result.status !== 0) {
+    const detail = (result.stderr || '').trim().split('\n').pop();
+    throw new Error(detail || `Failed to update Xdebug in the WordPress container (exit code ${result.status})`);
+  }
+}
+
+/**
+ * Read the effective Xdebug settings from the running WordPress container
+ * @param {string} projectName - Docker Compose project name
+ * @param {string} composePath - Generated compose file
+ * @returns {object|null} { loaded, version, mode, envMode, startWithRequest, clientHost, clientPort, outputDir }, or null if unavailable
+ */
+export function getContainerXdebugStatus(projectName, composePath) {
+  const result = execInWordPress(projectName, composePath, ['php', '-r', STATUS_SNIPPET]);
+
+  if (result.error || result.status !== 0) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(result.stdout.trim());
+  } catch (err) {
+    return null;
+  }
+}
@@ -0,0 +1,18 @@
+<?php
+/**
+ * Plugin Name: buwp-local mail catcher
+ * Description: Delivers all wp_mail() messages to the local Mailpit container. Mounted by buwp-local when services.mail is enabled.
+ */
+
+add_action(
+	'phpmailer_init',
+	function ( $phpmailer ) {
+		$phpmailer->isSMTP();
+		$phpmailer->Host        = getenv( 'BUWP_LOCAL_SMTP_HOST' ) ?: 'mail';
+		$phpmailer->Port        = (int) ( getenv( 'BUWP_LOCAL_SMTP_PORT' ) ?: 1025 );
+		$phpmailer->SMTPAuth    = false;
+		$phpmailer->SMTPSecure  = '';
+		$phpmailer->SMTPAutoTLS = false;
+	},
+	PHP_INT_MAX
+);
@@ -0,0 +1,98 @@
+/**
+ * Tests for compose overrides
+ * Overrides come from the "compose" config key; the project directory has no docker-compose.override.yml.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generateComposeConfig, buildComposeConfig } from '../lib/compose-generator.js';
+import { DEFAULT_CONFIG } from '../lib/config.js';
+
+describe('compose overrides', () => {
+  let projectPath;
+
+  beforeAll(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'buwp-local-compose-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  /**
+   * Build a project configuration with a compose override
+   * @param {object} compose - Value of the "compose" key
+   * @returns {object}
+   */
+  function configWith(compose) {
+    return { ...DEFAULT_CONFIG, projectName: 'compose-test', compose };
+  }
+
+  const generated = generateComposeConfig({ ...DEFAULT_CONFIG, projectName: 'compose-test' });
+  const wordpress = generated.services.wordpress;
+
+  it('keeps generated environment variables with a list-form environment', () => {
+    const merged = buildComposeConfig(configWith({
+      services: { wordpress: { environment: ['FOO=bar', 'EMPTY=', 'FROM_SHELL', 'WORDPRESS_DB_NAME=other'] } }
+    }), projectPath);
+
+    expect(merged.services.wordpress.environment).toEqual({
+      ...wordpress.environment,
+      FOO: 'bar',
+      EMPTY: '',
+      FROM_SHELL: null,
+      WORDPRESS_DB_NAME: 'other'
+    });
+  });
+
+  it('keeps generated environment variables with a map-form environment', () => {
+    const merged = buildComposeConfig(configWith({
+      services: { wordpress: { environment: { FOO: 'bar' } } }
+    }), projectPath);
+
+    expect(merged.services.wordpress.environment).toEqual({ ...wordpress.environment, FOO: 'bar' });
+  });
+
+  it('keeps generated healthy-service dependencies with a list-form depends_on', () => {
+    const merged = buildComposeConfig(configWith({
+      services: { wordpress: { depends_on: ['db', 'mailhog'] } }
+    }), projectPath);
+
+    expect(merged.services.wordpress.depends_on).toEqual({
+      ...wordpress.depends_on,
+      mailhog: { condition: 'service_started' }
+    });
+    expect(merged.services.wordpress.depends_on.db).toEqual({ condition: 'service_healthy' });
+  });
+
+  it('merges labels and extra_hosts key by key across override layers', () => {
+    const layeredPath = path.join(projectPath, 'layered');
+    fs.mkdirSync(layeredPath);
+    fs.writeFileSync(path.join(layeredPath, 'docker-compose.override.yml'), [
+      'services:',
+      '  wordpress:',
+      '    labels:',
+      '      team: platform',
+      '    extra_hosts:',
+      '      - cdn.local=10.0.0.6',
+      ''
+    ].join('\n'));
+
+    const merged = buildComposeConfig(configWith({
+      services: { wordpress: { labels: ['team=web', 'dev'], extra_hosts: ['api.local:10.0.0.5'] } }
+    }), layeredPath);
+
+    expect(merged.services.wordpress.labels).toEqual({ team: 'platform', dev: '' });
+    expect(merged.services.wordpress.extra_hosts).toEqual({ 'api.local': '10.0.0.5', 'cdn.local': '10.0.0.6' });
+  });
+
+  it('still appends other lists without duplicates', () => {
+    const merged = buildComposeConfig(configWith({
+      services: { wordpress: { networks: ['wp-network', 'proxy'] } }
+    }), projectPath);
+
+    expect(merged.services.wordpress.networks).toEqual(['wp-network', 'proxy']);
+  });
+});
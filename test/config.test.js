@@ -0,0 +1,64 @@
+/**
+ * Tests for configuration validation
+ * Each test writes its config files into a temporary project directory.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, loadConfigLayers, validateConfig, CONFIG_FILE_NAME, LOCAL_CONFIG_FILE_NAME } from '../lib/config.js';
+
+describe('validateConfig', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'buwp-local-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  /**
+   * Write config files into the project and validate it
+   * @param {object} files - Map of file name to contents
+   * @returns {object[]} Validation issues
+   */
+  function validate(files) {
+    Object.entries(files).forEach(([name, data]) => {
+      fs.writeFileSync(path.join(projectPath, name), JSON.stringify(data));
+    });
+    return validateConfig(loadConfig(projectPath), loadConfigLayers(projectPath)).issues;
+  }
+
+  it('names the layer that defines a colliding wpConfig constant', () => {
+    const issues = validate({
+      [CONFIG_FILE_NAME]: { projectName: 'config-test', wpConfig: { constants: { SCRIPT_DEBUG: true } } },
+      [LOCAL_CONFIG_FILE_NAME]: { wpConfig: { constants: { WP_DEBUG: true } } }
+    });
+
+    expect(issues).toEqual([{
+      file: LOCAL_CONFIG_FILE_NAME,
+      pointer: '/wpConfig/constants/WP_DEBUG',
+      message: 'collides with a constant buwp-local already defines',
+      suggestion: null
+    }]);
+  });
+
+  it('names the layer that lists a snippet defining a generated constant', () => {
+    const snippet = path.join(projectPath, 'debug.php');
+    fs.writeFileSync(snippet, "<?php\ndefine( 'WP_DEBUG', true );\n");
+
+    const issues = validate({
+      [CONFIG_FILE_NAME]: { projectName: 'config-test', wpConfig: { snippets: [snippet] } }
+    });
+
+    expect(issues).toEqual([{
+      file: CONFIG_FILE_NAME,
+      pointer: '/wpConfig/snippets/0',
+      message: 'defines WP_DEBUG, already defined by buwp-local',
+      suggestion: null
+    }]);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for the Secret Service credential backend
+ * A fake `secret-tool` on PATH keeps items in a temporary directory and logs its argv.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  configureBackend,
+  getBackend,
+  setCredential,
+  getCredential,
+  hasCredential,
+  deleteCredential,
+  listCredentials,
+  CREDENTIAL_STORE_ENV_VAR
+} from '../lib/keychain.js';
+
+const FAKE_SECRET_TOOL = `#!/bin/sh
+printf '%s\\n' "$*" >> "$FAKE_SECRET_DIR/argv.log"
+command="$1"; shift
+[ "$command" = store ] && shift
+[ "$1" = service ] && [ "$3" = account ] || { echo "usage" >&2; exit 2; }
+item="$FAKE_SECRET_DIR/$2__$4"
+[ -n "$FAKE_SECRET_FAIL" ] && { echo "Cannot autolaunch D-Bus without X11 $DISPLAY" >&2; exit 1; }
+case "$command" in
+  store) cat > "$item";;
+  lookup) [ -f "$item" ] || exit 1; cat "$item";;
+  clear) [ -f "$item" ] || exit 1; rm "$item";;
+  *) echo "unknown command" >&2; exit 2;;
+esac
+`;
+
+const describeOnLinux = process.platform === 'linux' ? describe : describe.skip;
+
+describeOnLinux('secret-service backend', () => {
+  let tmpDir;
+  let originalPath;
+  let originalStore;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'buwp-local-secret-tool-'));
+    const binDir = path.join(tmpDir, 'bin');
+    fs.mkdirSync(binDir);
+    fs.writeFileSync(path.join(binDir, 'secret-tool'), FAKE_SECRET_TOOL, { mode: 0o755 });
+
+    originalPath = process.env.PATH;
+    originalStore = process.env[CREDENTIAL_STORE_ENV_VAR];
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+    process.env.FAKE_SECRET_DIR = tmpDir;
+    delete process.env[CREDENTIAL_STORE_ENV_VAR];
+
+    configureBackend('secret-service');
+  });
+
+  afterAll(() => {
+    process.env.PATH = originalPath;
+    delete process.env.FAKE_SECRET_DIR;
+    if (originalStore !== undefined) {
+      process.env[CREDENTIAL_STORE_ENV_VAR] = originalStore;
+    }
+    configureBackend('auto');
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(path.join(tmpDir, 'argv.log'), { force: true });
+  });
+
+  /**
+   * Read the argv lines the fake secret-tool was called with
+   * @returns {string[]}
+   */
+  function argvLog() {
+    const logPath = path.join(tmpDir, 'argv.log');
+    return fs.existsSync(logPath) ? fs.readFileSync(logPath, 'utf8').trim().split('\n') : [];
+  }
+
+  it('is selected when secret-tool is on PATH', () => {
+    expect(getBackend().name).toBe('secret-service');
+  });
+
+  it('passes the value on stdin, never in argv', () => {
+    const value = 'p@ss "word" $HOME `id` \'quoted\'';
+    setCredential('WORDPRESS_DB_PASSWORD', value);
+
+    expect(argvLog()).toEqual([
+      'store --label=buwp-local WORDPRESS_DB_PASSWORD service buwp-local account WORDPRESS_DB_PASSWORD'
+    ]);
+    expect(fs.readFileSync(path.join(tmpDir, 'buwp-local__WORDPRESS_DB_PASSWORD'), 'utf8')).toBe(value);
+  });
+
+  it('reads values back unchanged, including multiline values', () => {
+    const cert = '-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----\n';
+    setCredential('SHIB_SP_CERT', cert);
+
+    expect(getCredential('SHIB_SP_CERT')).toBe(cert);
+    expect(argvLog()).toContain('lookup service buwp-local account SHIB_SP_CERT');
+  });
+
+  it('returns null when lookup finds nothing', () => {
+    expect(getCredential('OLAP_REGION')).toBeNull();
+    expect(hasCredential('OLAP_REGION')).toBe(false);
+  });
+
+  it('uses the project service name for project-scoped credentials', () => {
+    setCredential('OLAP', 'project-olap', 'my-project');
+
+    expect(argvLog()[0]).toContain('service buwp-local:my-project account OLAP');
+    expect(getCredential('OLAP', 'my-project')).toBe('project-olap');
+    expect(getCredential('OLAP')).toBeNull();
+    expect(listCredentials('my-project')).toEqual(['OLAP']);
+  });
+
+  it('clears items and ignores items that do not exist', () => {
+    setCredential('S3_UPLOADS_BUCKET', 'bucket');
+    deleteCredential('S3_UPLOADS_BUCKET');
+
+    expect(hasCredential('S3_UPLOADS_BUCKET')).toBe(false);
+    expect(() => deleteCredential('S3_UPLOADS_BUCKET')).not.toThrow();
+    expect(argvLog()).toContain('clear service buwp-local account S3_UPLOADS_BUCKET');
+  });
+
+  it('reports secret-tool errors instead of treating them as missing items', () => {
+    process.env.FAKE_SECRET_FAIL = '1';
+    try {
+      expect(() => getCredential('OLAP_ACCT_NBR')).toThrow(/Failed to retrieve credential.*D-Bus/s);
+    } finally {
+      delete process.env.FAKE_SECRET_FAIL;
+    }
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Tests for the workspace manifest
+ * Git operations run against bare repositories in a temporary directory.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  repoNameFromUrl,
+  getWorkspaceRepos,
+  getRepoState,
+  cloneRepo,
+  checkoutBranch,
+  syncRepo,
+  buildWorkspaceMappings,
+  mergeWorkspaceMappings
+} from '../lib/workspace.js';
+
+// Keep the developer's git configuration out of the tests
+const GIT_ENV = {
+  GIT_CONFIG_GLOBAL: '/dev/null',
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_AUTHOR_NAME: 'Test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test',
+  GIT_COMMITTER_EMAIL: 'test@example.com'
+};
+
+/**
+ * Run git in a directory
+ * @param {string} cwd - Working directory
+ * @param {...string} args - Arguments
+ * @returns {string} Trimmed stdout
+ */
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+/**
+ * Create a bare repository with a main and a develop branch
+ * @param {string} dir - Parent directory
+ * @param {string} name - Repository name
+ * @returns {string} Path of the bare repository
+ */
+function createBareRepo(dir, name) {
+  const bare = path.join(dir, 'remotes', `${name}.git`);
+  const seed = path.join(dir, 'seed', name);
+
+  fs.mkdirSync(seed, { recursive: true });
+  git(dir, 'init', '--quiet', '--bare', '--initial-branch=main', bare);
+  git(seed, 'init', '--quiet', '--initial-branch=main');
+  fs.writeFileSync(path.join(seed, `${name}.php`), '<?php\n');
+  git(seed, 'add', '.');
+  git(seed, 'commit', '--quiet', '-m', 'Initial commit');
+  git(seed, 'checkout', '--quiet', '-b', 'develop');
+  fs.writeFileSync(path.join(seed, 'develop.txt'), 'develop\n');
+  git(seed, 'add', '.');
+  git(seed, 'commit', '--quiet', '-m', 'Develop commit');
+  git(seed, 'push', '--quiet', bare, 'main', 'develop');
+
+  return bare;
+}
+
+describe('workspace repos', () => {
+  it('derives repo names from git URLs and paths', () => {
+    expect(repoNameFromUrl('git@github.com:bu-ist/bu-navigation.git')).toBe('bu-navigation');
+    expect(repoNameFromUrl('https://github.com/bu-ist/responsive-framework')).toBe('responsive-framework');
+    expect(repoNameFromUrl('/srv/git/my-plugin.git/')).toBe('my-plugin');
+  });
+
+  it('resolves directories, types and container paths', () => {
+    const repos = getWorkspaceRepos({
+      workspace: {
+        directory: '../repos',
+        repos: [
+          { url: 'git@github.com:bu-ist/bu-navigation.git', type: 'plugin', branch: 'develop' },
+          { path: '../responsive-child', type: 'theme' },
+          { url: 'git@github.com:bu-ist/tools.git', name: 'bu-tools', container: '/opt/tools/' }
+        ]
+      }
+    }, '/work/site');
+
+    expect(repos).toEqual([
+      {
+        name: 'bu-navigation',
+        url: 'git@github.com:bu-ist/bu-navigation.git',
+        dir: '/work/repos/bu-navigation',
+        type: 'plugin',
+        branch: 'develop',
+        container: '/var/www/html/wp-content/plugins/bu-navigation'
+      },
+      {
+        name: 'responsive-child',
+        url: null,
+        dir: '/work/responsive-child',
+        type: 'theme',
+        branch: null,
+        container: '/var/www/html/wp-content/themes/responsive-child'
+      },
+      {
+        name: 'bu-tools',
+        url: 'git@github.com:bu-ist/tools.git',
+        dir: '/work/repos/bu-tools',
+        type: null,
+        branch: null,
+        container: '/opt/tools'
+      }
+    ]);
+  });
+
+  it('rejects repos without a url/path or without a type/container', () => {
+    expect(() => getWorkspaceRepos({ workspace: { repos: [{ type: 'plugin' }] } }, '/work/site'))
+      .toThrow(/needs a url or a path/);
+    expect(() => getWorkspaceRepos({ workspace: { repos: [{ url: 'git@github.com:bu-ist/x.git' }] } }, '/work/site'))
+      .toThrow(/"x" needs a type/);
+  });
+});
+
+describe('workspace git operations', () => {
+  let tmpDir;
+  let originalEnv;
+  let bare;
+
+  beforeAll(() => {
+    originalEnv = { ...process.env };
+    Object.assign(process.env, GIT_ENV);
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'buwp-local-workspace-'));
+    bare = createBareRepo(tmpDir, 'bu-navigation');
+  });
+
+  afterAll(() => {
+    for (const key of Object.keys(GIT_ENV)) {
+      if (originalEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = originalEnv[key];
+      }
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Build a repo entry cloned into its own directory
+   * @param {string} name - Directory name
+   * @param {string|null} branch - Requested branch
+   * @returns {object}
+   */
+  function repoAt(name, branch = null) {
+    return { name, url: bare, dir: path.join(tmpDir, 'clones', name), type: 'plugin', branch };
+  }
+
+  it('reports missing directories and directories that are not repositories', () => {
+    expect(getRepoState(path.join(tmpDir, 'missing'))).toEqual({ exists: false, isRepo: false, branch: null, dirty: false });
+
+    const plain = path.join(tmpDir, 'plain');
+    fs.mkdirSync(plain);
+    expect(getRepoState(plain)).toEqual({ exists: true, isRepo: false, branch: null, dirty: false });
+  });
+
+  it('clones on the requested branch', () => {
+    const repo = repoAt('clone-develop', 'develop');
+    cloneRepo(repo);
+
+    expect(getRepoState(repo.dir)).toEqual({ exists: true, isRepo: true, branch: 'develop', dirty: false });
+    expect(fs.existsSync(path.join(repo.dir, 'develop.txt'))).toBe(true);
+  });
+
+  it('reports clone failures with git\'s message', () => {
+    const repo = repoAt('clone-missing-branch', 'no-such-branch');
+    expect(() => cloneRepo(repo)).toThrow(/no-such-branch/);
+  });
+
+  it('checks out branches that only exist on origin as tracking branches', () => {
+    const repo = repoAt('checkout');
+    cloneRepo(repo);
+    expect(getRepoState(repo.dir).branch).toBe('main');
+
+    expect(checkoutBranch(repo.dir, 'develop')).toEqual({ fetched: true });
+    expect(getRepoState(repo.dir).branch).toBe('develop');
+    expect(git(repo.dir, 'rev-parse', '--abbrev-ref', 'develop@{upstream}')).toBe('origin/develop');
+  });
+
+  it('clones, then switches branches on later syncs', () => {
+    const repo = repoAt('sync', 'develop');
+
+    expect(syncRepo(repo)).toBe('cloned (develop)');
+    expect(syncRepo(repo)).toBe('on develop');
+    expect(syncRepo({ ...repo, branch: 'main' })).toBe('checked out main');
+    expect(getRepoState(repo.dir).branch).toBe('main');
+  });
+
+  it('refuses to switch branches in a repo with uncommitted changes', () => {
+    const repo = repoAt('dirty');
+    cloneRepo(repo);
+    fs.appendFileSync(path.join(repo.dir, 'bu-navigation.php'), '// local change\n');
+
+    expect(getRepoState(repo.dir).dirty).toBe(true);
+    expect(() => syncRepo({ ...repo, branch: 'develop' })).toThrow(/uncommitted changes, staying on main instead of develop/);
+    expect(getRepoState(repo.dir).branch).toBe('main');
+  });
+
+  it('leaves untracked files alone when checking for changes', () => {
+    const repo = repoAt('untracked');
+    cloneRepo(repo);
+    fs.writeFileSync(path.join(repo.dir, 'notes.txt'), 'scratch\n');
+
+    expect(getRepoState(repo.dir).dirty).toBe(false);
+    expect(syncRepo({ ...repo, branch: 'develop' })).toBe('checked out develop');
+  });
+
+  it('does not clone repos that only have a path', () => {
+    const repo = { ...repoAt('path-only'), url: null };
+    expect(() => syncRepo(repo)).toThrow(/does not exist and the repo has no url/);
+  });
+});
+
+describe('workspace mappings', () => {
+  const projectPath = '/work/site';
+  const navigation = {
+    local: '../bu-navigation',
+    container: '/var/www/html/wp-content/plugins/bu-navigation',
+    comment: 'workspace: bu-navigation'
+  };
+  const theme = {
+    local: '../responsive-child',
+    container: '/var/www/html/wp-content/themes/responsive-child',
+    comment: 'workspace: responsive-child'
+  };
+  const handWritten = { local: './mu-plugins/local.php', container: '/var/www/html/wp-content/mu-plugins/local.php' };
+
+  it('builds relative mappings tagged with the repo name', () => {
+    const mappings = buildWorkspaceMappings([
+      { name: 'bu-navigation', dir: '/work/bu-navigation', container: navigation.container },
+      { name: 'inside', dir: '/work/site/vendor/inside', container: '/opt/inside' }
+    ], projectPath);
+
+    expect(mappings).toEqual([
+      navigation,
+      { local: './vendor/inside', container: '/opt/inside', comment: 'workspace: inside' }
+    ]);
+  });
+
+  it('adds new mappings after the existing ones', () => {
+    const result = mergeWorkspaceMappings([handWritten], [navigation]);
+
+    expect(result.mappings).toEqual([handWritten, navigation]);
+    expect(result.added).toEqual([navigation]);
+    expect(result.updated).toEqual([]);
+    expect(result.removed).toEqual([]);
+  });
+
+  it('updates mappings in place when the local path changes', () => {
+    const moved = { ...navigation, local: '../repos/bu-navigation' };
+    const result = mergeWorkspaceMappings([navigation, handWritten], [moved]);
+
+    expect(result.mappings).toEqual([moved, handWritten]);
+    expect(result.updated).toEqual([moved]);
+    expect(result.added).toEqual([]);
+  });
+
+  it('matches existing mappings by normalized container path', () => {
+    const existing = { ...navigation, container: `${navigation.container}/` };
+    const result = mergeWorkspaceMappings([existing], [navigation]);
+
+    expect(result.mappings).toEqual([navigation]);
+    expect(result.added).toEqual([]);
+    expect(result.updated).toEqual([]);
+  });
+
+  it('removes mappings of repos that left the workspace', () => {
+    const result = mergeWorkspaceMappings([navigation, theme, handWritten], [navigation]);
+
+    expect(result.mappings).toEqual([navigation, handWritten]);
+    expect(result.removed).toEqual([theme]);
+  });
+
+  it('keeps mappings of repos that are still listed but could not be synced', () => {
+    const result = mergeWorkspaceMappings([navigation, theme], [navigation], [navigation.container, theme.container]);
+
+    expect(result.mappings).toEqual([navigation, theme]);
+    expect(result.removed).toEqual([]);
+  });
+
+  it('keeps hand-written mappings, even when a workspace repo is removed', () => {
+    const result = mergeWorkspaceMappings([handWritten, theme], []);
+
+    expect(result.mappings).toEqual([handWritten]);
+    expect(result.removed).toEqual([theme]);
+  });
+
+  it('replaces a hand-written mapping for the same container path', () => {
+    const manual = { local: '/Users/me/bu-navigation', container: navigation.container };
+    const result = mergeWorkspaceMappings([manual], [navigation]);
+
+    expect(result.mappings).toEqual([navigation]);
+    expect(result.updated).toEqual([navigation]);
+  });
+});